@@ -0,0 +1,58 @@
+/**
+ * Cache configuration
+ * CACHE_BACKEND picks where upstream responses are kept: "memory" (per process,
+ * lost on restart) or "mongo" (shared, survives cold starts).
+ *
+ * Each namespace has a ttl (seconds an entry is fresh), a staleTtl (seconds
+ * after that it may still be served while it is refreshed in the background)
+ * and a staleIfErrorTtl (seconds after that it is only served when refreshing
+ * fails, e.g. while the upstream is down). Override per namespace with
+ * CACHE_TTL_<NAMESPACE>, CACHE_STALE_TTL_<NAMESPACE> and
+ * CACHE_STALE_IF_ERROR_TTL_<NAMESPACE>, e.g. CACHE_TTL_VERSES=3600.
+ */
+
+const CACHE_BACKENDS = ['memory', 'mongo'];
+
+const CACHE_BACKEND = process.env.CACHE_BACKEND || 'memory';
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+
+const DEFAULT_TTLS = {
+  // Word search results with verse details (/api/quran/examples)
+  verses: { ttl: DAY, staleTtl: 7 * DAY, staleIfErrorTtl: 30 * DAY },
+  // Single verses (/api/quran/verse/:reference) and chapter pages; the text never changes
+  verse: { ttl: 7 * DAY, staleTtl: 30 * DAY, staleIfErrorTtl: 90 * DAY },
+  // Translation and recitation catalogs (/api/quran/resources/*); rarely change
+  resources: { ttl: DAY, staleTtl: 7 * DAY, staleIfErrorTtl: 30 * DAY },
+};
+
+/**
+ * Read a positive number of seconds from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value if unset or invalid
+ * @returns {number} Seconds
+ */
+const envSeconds = (name, fallback) => {
+  const value = process.env[name] ? Number(process.env[name]) : NaN;
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const CACHE_TTLS = Object.fromEntries(
+  Object.entries(DEFAULT_TTLS).map(([namespace, { ttl, staleTtl, staleIfErrorTtl }]) => {
+    const suffix = namespace.toUpperCase();
+    return [
+      namespace,
+      {
+        ttl: envSeconds(`CACHE_TTL_${suffix}`, ttl),
+        staleTtl: envSeconds(`CACHE_STALE_TTL_${suffix}`, staleTtl),
+        staleIfErrorTtl: envSeconds(`CACHE_STALE_IF_ERROR_TTL_${suffix}`, staleIfErrorTtl),
+      },
+    ];
+  })
+);
+
+// Namespaces without an entry use this
+const FALLBACK_TTL = { ttl: HOUR, staleTtl: DAY, staleIfErrorTtl: 7 * DAY };
+
+module.exports = { CACHE_BACKENDS, CACHE_BACKEND, CACHE_TTLS, FALLBACK_TTL };
@@ -0,0 +1,31 @@
+/**
+ * Supported languages
+ * Locale code → display name and the Quran Foundation translation used for it.
+ * Adding a language only needs an entry here and its glosses in the data file.
+ */
+const LANGUAGES = {
+  en: { name: 'English', translationId: 131 }, // Dr. Mustafa Khattab, The Clear Quran
+  bn: { name: 'বাংলা', translationId: 161 }, // Taisirul Quran
+  ur: { name: 'اردو', translationId: 97 }, // Tafheem-ul-Quran, Abul Ala Maududi
+  id: { name: 'Bahasa Indonesia', translationId: 33 }, // Ministry of Religious Affairs
+  tr: { name: 'Türkçe', translationId: 77 }, // Diyanet İşleri
+};
+
+// Last entry of every fallback chain
+const DEFAULT_LANGUAGE = 'en';
+
+// Quran translations for clients that express no language: Bengali (161) and
+// English (131), as served before languages were negotiated
+const DEFAULT_TRANSLATION_IDS = '161,131';
+
+const SUPPORTED_LANGUAGES = Object.keys(LANGUAGES);
+
+/**
+ * Get the Quran Foundation translation IDs for a list of languages
+ * @param {Array<string>} languages - Locale codes
+ * @returns {string} Comma-separated translation IDs, in order, without duplicates
+ */
+const getTranslationIds = (languages) =>
+  [...new Set(languages.filter((code) => LANGUAGES[code]).map((code) => LANGUAGES[code].translationId))].join(',');
+
+module.exports = { LANGUAGES, DEFAULT_LANGUAGE, DEFAULT_TRANSLATION_IDS, SUPPORTED_LANGUAGES, getTranslationIds };
@@ -0,0 +1,25 @@
+const path = require('path');
+
+/**
+ * Quran content provider configuration
+ * QURAN_PROVIDER picks where verses come from: "qf" (the Quran Foundation
+ * API, needs QF_CLIENT_ID and QF_CLIENT_SECRET) or "local" (a JSON file of
+ * verses, no credentials or network; see services/providers/localProvider).
+ */
+
+const QURAN_PROVIDERS = ['qf', 'local'];
+
+const QURAN_PROVIDER = process.env.QURAN_PROVIDER || 'qf';
+
+// Verses served by the local provider
+const QURAN_LOCAL_FILE = path.resolve(
+  process.env.QURAN_LOCAL_FILE || path.join(__dirname, '..', 'data', 'quran-local.json')
+);
+
+// Environment variables each provider cannot run without
+const PROVIDER_ENV_VARS = {
+  qf: ['QF_CLIENT_ID', 'QF_CLIENT_SECRET'],
+  local: [],
+};
+
+module.exports = { QURAN_PROVIDERS, QURAN_PROVIDER, QURAN_LOCAL_FILE, PROVIDER_ENV_VARS };
@@ -0,0 +1,307 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Verse = require('./models/Verse');
+const Word = require('./models/Word');
+const {
+  normalizeArabic,
+  buckwalterToArabic,
+  normalizeRoot,
+  derivePattern,
+} = require('./utils/arabic');
+const { VERB_FORMS, vowelAfterRadical } = require('./utils/conjugation');
+
+/**
+ * Import Morphology
+ * Sets root, lemma and pattern on vocabulary entries from a local morphology
+ * file in Quranic Arabic Corpus format:
+ *
+ *   (1:1:1:2)	somi	N	STEM|POS:N|LEM:{som|ROOT:smw|M|GEN
+ *
+ * Every Quranic word (chapter:verse:word) is matched to the vocabulary by its
+ * normalized form. When the Quran text has been imported, the form is taken
+ * from the verse token at the same position, which uses the vocabulary's
+ * spelling; otherwise it is rebuilt from the corpus segments. A vocabulary
+ * entry gets the root and lemma its form is most often analysed with.
+ *
+ * Verbs also get their derived form (I–X) and, for form I, their past and
+ * present stem vowels, read from the lemma and the imperfect occurrences.
+ *
+ * Usage:
+ *   node import-morphology.js [--file <path>] [--dry-run]
+ *
+ *   --file     Morphology file (default: MORPHOLOGY_FILE or data/quranic-corpus-morphology.txt)
+ *   --dry-run  Report what would change without writing
+ */
+
+const BATCH_SIZE = 500;
+
+const args = process.argv.slice(2);
+const argValue = (name) => {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : null;
+};
+
+const MORPHOLOGY_FILE = path.resolve(
+  argValue('--file') ||
+    process.env.MORPHOLOGY_FILE ||
+    path.join(__dirname, 'data', 'quranic-corpus-morphology.txt')
+);
+const DRY_RUN = args.includes('--dry-run');
+
+/**
+ * Connect to MongoDB
+ */
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+  } catch (error) {
+    console.error('❌ MongoDB connection error:', error);
+    process.exit(1);
+  }
+};
+
+/**
+ * Parse a morphology file into Quranic words
+ * Header, comment and blank lines are skipped
+ * @param {string} file - Path to the file
+ * @returns {Map<string, Object>} "chapter:verse:word" →
+ *          { chapter, verse, word, form, root, lemma, pos, verbForm, aspect, stem }
+ */
+const parseMorphologyFile = (file) => {
+  if (!fs.existsSync(file)) {
+    console.error(`❌ File not found: ${file}`);
+    console.log('📝 Download the morphology file from https://corpus.quran.com/download/');
+    process.exit(1);
+  }
+
+  const words = new Map();
+  const lines = fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, '').split(/\r?\n/);
+
+  for (const line of lines) {
+    if (!line.startsWith('(')) continue;
+
+    const [location, form, , features = ''] = line.split('\t');
+    const match = /^\((\d+):(\d+):(\d+):(\d+)\)$/.exec(location);
+    if (!match || form === undefined) {
+      throw new Error(`Malformed line: ${line.slice(0, 60)}`);
+    }
+
+    const [, chapter, verse, position] = match.map(Number);
+    const key = `${chapter}:${verse}:${position}`;
+    if (!words.has(key)) {
+      words.set(key, {
+        chapter, verse, word: position, form: '', root: null, lemma: null,
+        pos: null, verbForm: null, aspect: null, stem: null,
+      });
+    }
+
+    // Segments (prefixes, stem, suffixes) together spell the word
+    const word = words.get(key);
+    word.form += form;
+
+    const parts = features.split('|');
+    if (parts[0] === 'STEM') {
+      word.stem = buckwalterToArabic(form);
+    }
+
+    for (const feature of parts) {
+      const verbForm = /^\(([IVX]+)\)$/.exec(feature);
+      if (feature.startsWith('ROOT:')) {
+        word.root = normalizeRoot(buckwalterToArabic(feature.slice(5)));
+      } else if (feature.startsWith('LEM:')) {
+        word.lemma = buckwalterToArabic(feature.slice(4));
+      } else if (feature.startsWith('POS:')) {
+        word.pos = feature.slice(4);
+      } else if (['PERF', 'IMPF', 'IMPV'].includes(feature)) {
+        word.aspect = feature;
+      } else if (verbForm) {
+        word.verbForm = verbForm[1];
+      }
+    }
+  }
+
+  console.log(`✅ Loaded ${words.size} analysed words from ${path.basename(file)}`);
+  return words;
+};
+
+/**
+ * Load verse tokens, keyed by verse
+ * @returns {Promise<Map<string, Array>>} "chapter:verse" → tokens
+ */
+const loadVerseTokens = async () => {
+  const verses = await Verse.find().select('key tokens').lean();
+  return new Map(verses.map((verse) => [verse.key, verse.tokens]));
+};
+
+/**
+ * Count the analyses seen for each normalized form
+ * @param {Map<string, Object>} words - Parsed corpus words
+ * @param {Map<string, Array>} verseTokens - Imported verse tokens (may be empty)
+ * @returns {Object} { analysesByForm, fromVerses }
+ */
+const collectAnalyses = (words, verseTokens) => {
+  // Only trust token positions when a verse splits into as many words as the corpus
+  const wordCounts = new Map();
+  for (const { chapter, verse } of words.values()) {
+    const verseKey = `${chapter}:${verse}`;
+    wordCounts.set(verseKey, (wordCounts.get(verseKey) || 0) + 1);
+  }
+
+  const analysesByForm = new Map();
+  let fromVerses = 0;
+
+  for (const word of words.values()) {
+    if (!word.root && !word.lemma) continue;
+
+    const verseKey = `${word.chapter}:${word.verse}`;
+    const tokens = verseTokens.get(verseKey);
+    let form;
+    if (tokens && tokens.length === wordCounts.get(verseKey)) {
+      form = tokens[word.word - 1].normalized;
+      fromVerses++;
+    } else {
+      form = normalizeArabic(buckwalterToArabic(word.form));
+    }
+    if (!form) continue;
+
+    if (!analysesByForm.has(form)) {
+      analysesByForm.set(form, new Map());
+    }
+    const analyses = analysesByForm.get(form);
+    const analysisKey = `${word.root || ''}|${word.lemma || ''}`;
+    const analysis = analyses.get(analysisKey) || { root: word.root, lemma: word.lemma, count: 0 };
+    analysis.count++;
+    analyses.set(analysisKey, analysis);
+  }
+
+  return { analysesByForm, fromVerses };
+};
+
+/**
+ * Collect verb forms and imperfect stem vowels per analysis
+ * Form I is not tagged in the corpus; an untagged verb is form I
+ * @param {Map<string, Object>} words - Parsed corpus words
+ * @returns {Map<string, Object>} "root|lemma" → { forms, presentVowels } (value → count)
+ */
+const collectVerbData = (words) => {
+  const verbData = new Map();
+  const increment = (counts, value) => counts.set(value, (counts.get(value) || 0) + 1);
+
+  for (const word of words.values()) {
+    if (word.pos !== 'V' || !word.root) continue;
+
+    const analysisKey = `${word.root}|${word.lemma || ''}`;
+    if (!verbData.has(analysisKey)) {
+      verbData.set(analysisKey, { forms: new Map(), presentVowels: new Map() });
+    }
+    const data = verbData.get(analysisKey);
+    const verbForm = word.verbForm || 'I';
+    increment(data.forms, verbForm);
+
+    if (verbForm === 'I' && word.aspect === 'IMPF') {
+      const vowel = vowelAfterRadical(word.stem, word.root, 1);
+      if (vowel) increment(data.presentVowels, vowel);
+    }
+  }
+
+  return verbData;
+};
+
+/**
+ * Get the most frequent value of a count map
+ * @param {Map<*, number>} counts - Value → count
+ * @returns {*} Value, or null when empty
+ */
+const mostCommon = (counts) =>
+  [...counts.entries()].reduce((best, entry) => (!best || entry[1] > best[1] ? entry : best), null)?.[0] ?? null;
+
+/**
+ * Get the verb fields of a vocabulary entry
+ * @param {Object} word - Vocabulary entry
+ * @param {Object} analysis - Its chosen analysis ({ root, lemma })
+ * @param {Map<string, Object>} verbData - See collectVerbData
+ * @returns {Object} { verbForm, verbVowels }
+ */
+const getVerbFields = (word, analysis, verbData) => {
+  const data = verbData.get(`${analysis.root}|${analysis.lemma || ''}`);
+  const isVerb = /\bverb\b/i.test(word.type) && !/participle/i.test(word.type);
+  const verbForm = isVerb && data ? mostCommon(data.forms) : null;
+
+  if (!VERB_FORMS.includes(verbForm)) {
+    return { verbForm: null, verbVowels: null };
+  }
+
+  const past = verbForm === 'I' ? vowelAfterRadical(analysis.lemma, analysis.root, 1) : null;
+  const present = past ? mostCommon(data.presentVowels) : null;
+  return { verbForm, verbVowels: past && present ? `${past}-${present}` : null };
+};
+
+/**
+ * Run the import
+ */
+const importMorphology = async () => {
+  try {
+    console.log(`🌳 Importing morphology${DRY_RUN ? ' (dry run)' : ''}...\n`);
+    await connectDB();
+
+    const words = parseMorphologyFile(MORPHOLOGY_FILE);
+    const verseTokens = await loadVerseTokens();
+    if (verseTokens.size === 0) {
+      console.log('⚠️  Quran text not imported; matching on corpus spelling (run "npm run import:quran" first for better matches)');
+    }
+
+    const { analysesByForm, fromVerses } = collectAnalyses(words, verseTokens);
+    const verbData = collectVerbData(words);
+    console.log(`🔗 Matched ${fromVerses} words by verse position, ${analysesByForm.size} distinct forms\n`);
+
+    const vocabulary = await Word.find()
+      .select('id arabic arabicNormalized type root lemma pattern verbForm verbVowels')
+      .lean();
+
+    let unmatched = 0;
+    const operations = [];
+    for (const word of vocabulary) {
+      const analyses = analysesByForm.get(word.arabicNormalized || normalizeArabic(word.arabic));
+      if (!analyses) {
+        unmatched++;
+        continue;
+      }
+
+      // The most common analysis wins; ties go to the first seen
+      const best = [...analyses.values()].reduce((a, b) => (b.count > a.count ? b : a));
+      const fields = {
+        root: best.root,
+        lemma: best.lemma,
+        pattern: derivePattern(best.lemma, best.root),
+        ...getVerbFields(word, best, verbData),
+      };
+
+      if (Object.keys(fields).some((field) => fields[field] !== word[field])) {
+        operations.push({ updateOne: { filter: { _id: word._id }, update: { $set: fields } } });
+        if (DRY_RUN) {
+          console.log(`  #${word.id} ${word.arabic}: root ${word.root || '-'} → ${fields.root || '-'}, lemma ${word.lemma || '-'} → ${fields.lemma || '-'}`);
+        }
+      }
+    }
+
+    if (!DRY_RUN) {
+      for (let i = 0; i < operations.length; i += BATCH_SIZE) {
+        await Word.bulkWrite(operations.slice(i, i + BATCH_SIZE), { ordered: false });
+      }
+    }
+
+    const action = DRY_RUN ? 'would be updated' : 'updated';
+    console.log(`\n✅ ${operations.length} words ${action}, ${unmatched} without an analysis\n`);
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error importing morphology:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+importMorphology();
@@ -0,0 +1,164 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Verse = require('./models/Verse');
+const Word = require('./models/Word');
+const { normalizeArabic, tokenizeArabic } = require('./utils/arabic');
+
+/**
+ * Import Quran Text
+ * Loads a local Quran text file in Tanzil "sura|aya|text" format into the
+ * verses collection with a normalized word-level token index.
+ *
+ * Usage:
+ *   node import-quran.js [--file <path>] [--simple <path>] [--keep-bismillah]
+ *
+ *   --file            Text stored for display (default: QURAN_TEXT_FILE or data/quran-uthmani.txt)
+ *   --simple          Optional Tanzil "simple" text of the same verses; when given, tokens are
+ *                     built from it, which matches the vocabulary spelling far better than Uthmani
+ *   --keep-bismillah  Keep the basmala Tanzil prepends to the first verse of each surah
+ */
+
+const BATCH_SIZE = 500;
+const BASMALA = ['بسم', 'الله', 'الرحمن', 'الرحيم'];
+
+const args = process.argv.slice(2);
+const argValue = (name) => {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : null;
+};
+
+const TEXT_FILE = path.resolve(
+  argValue('--file') || process.env.QURAN_TEXT_FILE || path.join(__dirname, 'data', 'quran-uthmani.txt')
+);
+const SIMPLE_FILE = argValue('--simple') ? path.resolve(argValue('--simple')) : null;
+const KEEP_BISMILLAH = args.includes('--keep-bismillah');
+
+/**
+ * Connect to MongoDB
+ */
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+  } catch (error) {
+    console.error('❌ MongoDB connection error:', error);
+    process.exit(1);
+  }
+};
+
+/**
+ * Parse a Tanzil text file
+ * Blank lines and "#" comment lines (the license footer) are skipped
+ * @param {string} file - Path to the file
+ * @returns {Map<string, Object>} Verse key → { chapter, verse, text }
+ */
+const parseTanzilFile = (file) => {
+  if (!fs.existsSync(file)) {
+    console.error(`❌ File not found: ${file}`);
+    console.log('📝 Download a text from https://tanzil.net/download/ (format: "Text (with aya numbers)")');
+    process.exit(1);
+  }
+
+  const verses = new Map();
+  const lines = fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, '').split(/\r?\n/);
+
+  for (const line of lines) {
+    if (!line.trim() || line.startsWith('#')) continue;
+
+    const [chapter, verse, ...rest] = line.split('|');
+    const key = `${parseInt(chapter)}:${parseInt(verse)}`;
+    if (!/^\d+:\d+$/.test(key) || rest.length === 0) {
+      throw new Error(`Malformed line: ${line.slice(0, 60)}`);
+    }
+
+    verses.set(key, {
+      chapter: parseInt(chapter),
+      verse: parseInt(verse),
+      text: rest.join('|').trim(),
+    });
+  }
+
+  console.log(`✅ Loaded ${verses.size} verses from ${path.basename(file)}`);
+  return verses;
+};
+
+/**
+ * Remove the basmala Tanzil prepends to verse 1 of every surah except
+ * Al-Fatihah (where it is verse 1) and At-Tawbah (which has none)
+ * @param {Object} verse - Parsed verse
+ * @param {string} text - Verse text
+ * @returns {string} Text without the leading basmala
+ */
+const stripBasmala = (verse, text) => {
+  if (KEEP_BISMILLAH || verse.verse !== 1 || verse.chapter === 1 || verse.chapter === 9) {
+    return text;
+  }
+
+  const words = text.split(/\s+/);
+  const leading = words.slice(0, BASMALA.length).map(normalizeArabic);
+  if (leading.every((word, index) => word === BASMALA[index])) {
+    return words.slice(BASMALA.length).join(' ');
+  }
+  return text;
+};
+
+/**
+ * Run the import
+ */
+const importQuran = async () => {
+  try {
+    console.log('📖 Importing Quran text...\n');
+    await connectDB();
+
+    const verses = parseTanzilFile(TEXT_FILE);
+    const simpleVerses = SIMPLE_FILE ? parseTanzilFile(SIMPLE_FILE) : null;
+
+    const documents = [...verses.entries()].map(([key, verse]) => {
+      const text = stripBasmala(verse, verse.text);
+      const simple = simpleVerses && simpleVerses.get(key);
+      const textSimple = simple ? stripBasmala(verse, simple.text) : null;
+
+      return {
+        key,
+        chapter: verse.chapter,
+        verse: verse.verse,
+        text,
+        textSimple,
+        tokens: tokenizeArabic(textSimple || text),
+      };
+    });
+
+    // Upsert in batches so the import can be re-run safely
+    let upserted = 0;
+    for (let i = 0; i < documents.length; i += BATCH_SIZE) {
+      const batch = documents.slice(i, i + BATCH_SIZE);
+      await Verse.bulkWrite(
+        batch.map((doc) => ({
+          updateOne: { filter: { key: doc.key }, update: { $set: doc }, upsert: true },
+        })),
+        { ordered: false }
+      );
+      upserted += batch.length;
+      process.stdout.write(`\r📥 Imported ${upserted}/${documents.length} verses`);
+    }
+
+    const tokenCount = documents.reduce((sum, doc) => sum + doc.tokens.length, 0);
+    console.log(`\n✅ Indexed ${tokenCount} word tokens\n`);
+
+    // Vocabulary entries need the same normalization to be matched
+    const updatedWords = await Word.backfillSearchFields();
+    console.log(`🔤 Normalized ${updatedWords} vocabulary entries\n`);
+
+    console.log('✅ Quran import completed!\n');
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error importing Quran text:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+importQuran();
@@ -1,6 +1,9 @@
 const admin = require('firebase-admin');
 const User = require('../models/User');
 
+// Content roles, granted through the "role" Firebase custom claim (see set-role.js)
+const ROLES = ['admin', 'editor'];
+
 /**
  * Authentication Middleware
  * Verifies Firebase ID token and attaches user to request
@@ -130,4 +133,34 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { authMiddleware, optionalAuth };
+/**
+ * Role middleware
+ * Restricts a route to users whose Firebase custom claims grant one of the
+ * given roles, and attaches the role as req.role. Must run after authMiddleware.
+ * Claims are read from the ID token, so a changed role applies once the
+ * client refreshes its token.
+ * @param {...string} roles - Allowed roles (see ROLES)
+ * @returns {Function} Express middleware
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  const role = req.firebaseUser && req.firebaseUser.role;
+
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required',
+    });
+  }
+
+  if (!roles.includes(role)) {
+    return res.status(403).json({
+      success: false,
+      message: `This action requires one of the roles: ${roles.join(', ')}`,
+    });
+  }
+
+  req.role = role;
+  next();
+};
+
+module.exports = { authMiddleware, optionalAuth, requireRole, ROLES };
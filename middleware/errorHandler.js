@@ -47,6 +47,11 @@ const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // Upstream API errors tell clients when to come back
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+
   // Default error
   const statusCode = err.statusCode || 500;
   res.status(statusCode).json({
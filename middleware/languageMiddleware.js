@@ -0,0 +1,53 @@
+const { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES } = require('../config/languages');
+
+/**
+ * Parse an Accept-Language header into supported locale codes
+ * "bn-BD,bn;q=0.9,en;q=0.8" → ['bn', 'en']
+ * @param {string} header - Accept-Language header value
+ * @returns {Array<string>} Supported codes, most preferred first
+ */
+const parseAcceptLanguage = (header) =>
+  (header || '')
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const quality = params.map((param) => /^\s*q=([\d.]+)\s*$/.exec(param)).find(Boolean);
+      return { code: tag.split('-')[0].toLowerCase(), quality: quality ? parseFloat(quality[1]) : 1, index };
+    })
+    .filter(({ code, quality }) => SUPPORTED_LANGUAGES.includes(code) && quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index)
+    .map(({ code }) => code);
+
+/**
+ * Language Middleware
+ * Resolves the response language from, in order, the ?lang= query parameter,
+ * the signed-in user's saved preference and the Accept-Language header, and
+ * attaches the fallback chain as req.languages (always ending in the default)
+ * and whether any of them expressed a preference as req.languageNegotiated.
+ * Must run after optionalAuth/authMiddleware so the user is known.
+ */
+const resolveLanguage = (req, res, next) => {
+  const { lang } = req.query;
+
+  if (lang !== undefined && !SUPPORTED_LANGUAGES.includes(lang)) {
+    return res.status(400).json({
+      success: false,
+      message: `Language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`,
+    });
+  }
+
+  const preferred = [
+    lang,
+    req.user && req.user.language,
+    ...parseAcceptLanguage(req.headers['accept-language']),
+  ].filter(Boolean);
+
+  req.languages = [...new Set([...preferred, DEFAULT_LANGUAGE])];
+  req.languageNegotiated = preferred.length > 0;
+  req.language = req.languages[0];
+  res.set('Content-Language', req.language);
+  res.vary('Accept-Language');
+  next();
+};
+
+module.exports = { resolveLanguage, parseAcceptLanguage };
@@ -0,0 +1,103 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('./models/User');
+const UserWord = require('./models/UserWord');
+
+/**
+ * Migrate Learned Words
+ * Moves the legacy User.learnedWords arrays into the user_words collection.
+ * Safe to run more than once: existing entries are left untouched.
+ */
+
+/**
+ * Connect to MongoDB
+ */
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+  } catch (error) {
+    console.error('❌ MongoDB connection error:', error);
+    process.exit(1);
+  }
+};
+
+/**
+ * Migrate a single legacy user document
+ * The array order was the learning order, so learnedAt is spread one
+ * millisecond apart ending at the user's last activity to preserve it
+ * @param {Object} user - Raw user document with a learnedWords array
+ * @returns {Promise<number>} Number of entries created
+ */
+const migrateUser = async (user) => {
+  const wordIds = [...new Set(user.learnedWords)];
+  const lastActive = (user.lastActive || user.updatedAt || new Date()).getTime();
+
+  let created = 0;
+
+  if (wordIds.length > 0) {
+    const result = await UserWord.bulkWrite(
+      wordIds.map((wordId, index) => ({
+        updateOne: {
+          filter: { user: user._id, wordId },
+          update: {
+            $setOnInsert: {
+              user: user._id,
+              wordId,
+              source: 'import',
+              learnedAt: new Date(lastActive - (wordIds.length - 1 - index)),
+            },
+          },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+    created = result.upsertedCount;
+  }
+
+  await User.collection.updateOne({ _id: user._id }, { $unset: { learnedWords: '' } });
+  return created;
+};
+
+/**
+ * Run the migration
+ */
+const migrateLearnedWords = async () => {
+  try {
+    console.log('🚚 Migrating learned words...\n');
+    await connectDB();
+
+    // The field is no longer in the schema, so read the raw collection
+    const cursor = User.collection.find(
+      { learnedWords: { $exists: true } },
+      { projection: { learnedWords: 1, lastActive: 1, updatedAt: 1 } }
+    );
+
+    let usersMigrated = 0;
+    let entriesCreated = 0;
+    for await (const user of cursor) {
+      entriesCreated += await migrateUser(user);
+      usersMigrated++;
+    }
+
+    // Drop the index on the removed field if it is still around
+    const indexes = await User.collection.indexes();
+    for (const index of indexes) {
+      if (index.key.learnedWords !== undefined) {
+        await User.collection.dropIndex(index.name);
+        console.log(`🗑️  Dropped index ${index.name}`);
+      }
+    }
+
+    console.log(`✅ Migrated ${usersMigrated} users (${entriesCreated} learned words)\n`);
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating learned words:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+migrateLearnedWords();
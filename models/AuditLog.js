@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'rollback'];
+
+const AUDIT_ENTITIES = ['word', 'story'];
+
+/**
+ * Audit Log Schema
+ * Append-only record of content changes made through the admin API
+ */
+const auditLogSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+    },
+    // Copied from the token so entries stay readable if the user is deleted
+    actor: {
+      uid: { type: String, required: [true, 'Actor UID is required'] },
+      email: { type: String, default: null },
+      role: { type: String, required: [true, 'Actor role is required'] },
+    },
+    action: {
+      type: String,
+      required: [true, 'Action is required'],
+      enum: {
+        values: AUDIT_ACTIONS,
+        message: 'Invalid audit action: {VALUE}',
+      },
+    },
+    entity: {
+      type: String,
+      required: [true, 'Entity is required'],
+      enum: {
+        values: AUDIT_ENTITIES,
+        message: 'Invalid audit entity: {VALUE}',
+      },
+    },
+    entityId: {
+      type: Number,
+      required: [true, 'Entity ID is required'],
+    },
+    // Updates and rollbacks: { field: { from, to } }
+    changes: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined,
+    },
+    // Creates, deletes and restores: the whole document
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    collection: 'audit_logs',
+  }
+);
+
+// History of one word or story
+auditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+
+// Latest changes overall and per editor
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ 'actor.uid': 1, createdAt: -1 });
+
+/**
+ * Reject any modification of recorded entries
+ */
+function rejectMutation(next) {
+  next(new Error('Audit log entries are append-only'));
+}
+
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  rejectMutation
+);
+
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+/**
+ * Static method to record a content change
+ * @param {Object} actor - Who made the change ({ user, uid, email, role })
+ * @param {string} action - create, update, delete or rollback
+ * @param {string} entity - word or story
+ * @param {number} entityId - ID of the changed word or story
+ * @param {Object} data - { changes } for updates, { snapshot } for creates and deletes
+ * @returns {Promise<AuditLog>} Created entry
+ */
+auditLogSchema.statics.record = function (actor, action, entity, entityId, data = {}) {
+  return this.create({
+    user: actor.user,
+    actor: { uid: actor.uid, email: actor.email || null, role: actor.role },
+    action,
+    entity,
+    entityId,
+    ...data,
+  });
+};
+
+auditLogSchema.statics.AUDIT_ACTIONS = AUDIT_ACTIONS;
+auditLogSchema.statics.AUDIT_ENTITIES = AUDIT_ENTITIES;
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
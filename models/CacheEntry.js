@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+/**
+ * Cache Entry Schema
+ * An upstream response kept by the MongoDB cache backend (see services/cacheService)
+ */
+const cacheEntrySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, 'Cache key is required'],
+      unique: true,
+    },
+    namespace: {
+      type: String,
+      required: [true, 'Cache namespace is required'],
+      index: true,
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+      required: [true, 'Cache value is required'],
+    },
+    // Served as is until freshUntil, then served while refreshing until
+    // staleUntil, then only served when refreshing fails until expiresAt
+    freshUntil: {
+      type: Date,
+      required: true,
+    },
+    staleUntil: {
+      type: Date,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'cache_entries',
+    // Cached responses keep their upstream shape, including empty objects
+    minimize: false,
+  }
+);
+
+// MongoDB removes entries once they can no longer be served
+cacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('CacheEntry', cacheEntrySchema);
@@ -0,0 +1,281 @@
+const mongoose = require('mongoose');
+const { DAY_MS, toLocalDay, dayToUTC, addDays, daysBetween } = require('../utils/timezone');
+
+const EVENT_TYPES = ['learn', 'unlearn', 'batch', 'review'];
+
+// Event types that count as studying for streaks
+const STUDY_EVENT_TYPES = ['learn', 'batch', 'review'];
+
+/**
+ * Progress Event Schema
+ * Append-only log of a user's learning actions
+ */
+const progressEventSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+    },
+    type: {
+      type: String,
+      required: [true, 'Event type is required'],
+      enum: {
+        values: EVENT_TYPES,
+        message: 'Invalid event type: {VALUE}',
+      },
+    },
+    wordIds: {
+      type: [Number],
+      default: [],
+    },
+    grade: {
+      type: Number,
+      min: 0,
+      max: 5,
+      default: undefined,
+    },
+    occurredAt: {
+      type: Date,
+      default: Date.now,
+    },
+    seq: {
+      type: Number,
+      required: [true, 'Sequence number is required'],
+    },
+    clientOpId: {
+      type: String,
+      trim: true,
+      default: undefined,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    collection: 'progress_events',
+  }
+);
+
+// Activity lookups per user over time
+progressEventSchema.index({ user: 1, occurredAt: -1 });
+
+// Sync deltas: events after a cursor, in order
+progressEventSchema.index({ user: 1, seq: 1 }, { unique: true });
+
+// Offline operations are applied at most once
+progressEventSchema.index(
+  { user: 1, clientOpId: 1 },
+  { unique: true, partialFilterExpression: { clientOpId: { $type: 'string' } } }
+);
+
+/**
+ * Reject any modification of recorded events
+ */
+function rejectMutation(next) {
+  next(new Error('Progress events are append-only'));
+}
+
+progressEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  rejectMutation
+);
+
+progressEventSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+/**
+ * Static method to append events to the log
+ * Events get consecutive per-user sequence numbers, used as the sync cursor
+ * @param {ObjectId} userId - ID of the user
+ * @param {Array<Object>} events - Events ({ type, wordIds, grade, occurredAt, clientOpId })
+ * @returns {Promise<Array<ProgressEvent>>} Created events
+ */
+progressEventSchema.statics.recordMany = async function (userId, events) {
+  if (!events.length) {
+    return [];
+  }
+
+  const { syncSeq } = await mongoose
+    .model('User')
+    .findOneAndUpdate(
+      { _id: userId },
+      { $inc: { syncSeq: events.length } },
+      { new: true, projection: { syncSeq: 1 } }
+    )
+    .lean();
+  const firstSeq = syncSeq - events.length + 1;
+
+  try {
+    return await this.insertMany(
+      events.map((event, index) => ({ user: userId, seq: firstSeq + index, ...event })),
+      { ordered: false }
+    );
+  } catch (error) {
+    // A client operation replayed by a concurrent sync is already logged
+    const writeErrors = [].concat(error.writeErrors || []);
+    if (writeErrors.length === 0 || writeErrors.some((e) => e.code !== 11000)) {
+      throw error;
+    }
+    return error.insertedDocs || [];
+  }
+};
+
+/**
+ * Static method to append an event to the log
+ * @param {ObjectId} userId - ID of the user
+ * @param {string} type - Event type (learn, unlearn, batch, review)
+ * @param {Object} data - Event data ({ wordIds, grade, occurredAt, clientOpId })
+ * @returns {Promise<ProgressEvent>} Created event
+ */
+progressEventSchema.statics.record = async function (userId, type, data = {}) {
+  const [event] = await this.recordMany(userId, [{ type, ...data }]);
+  return event;
+};
+
+/**
+ * Static method to get the latest learn/unlearn state change per word
+ * @param {ObjectId} userId - ID of the user
+ * @param {Object} filter - Extra conditions ({ wordIds, afterSeq, upToSeq })
+ * @returns {Promise<Map<number, Object>>} wordId → { learned, occurredAt, seq, clientOpId }
+ */
+progressEventSchema.statics.getLatestWordStates = async function (
+  userId,
+  { wordIds, afterSeq, upToSeq } = {}
+) {
+  const match = { user: userId, type: { $in: ['learn', 'unlearn', 'batch'] } };
+  if (wordIds) match.wordIds = { $in: wordIds };
+  if (afterSeq !== undefined || upToSeq !== undefined) {
+    match.seq = {};
+    if (afterSeq !== undefined) match.seq.$gt = afterSeq;
+    if (upToSeq !== undefined) match.seq.$lte = upToSeq;
+  }
+
+  const states = await this.aggregate([
+    { $match: match },
+    { $unwind: '$wordIds' },
+    ...(wordIds ? [{ $match: { wordIds: { $in: wordIds } } }] : []),
+    { $sort: { occurredAt: -1, seq: -1 } },
+    {
+      $group: {
+        _id: '$wordIds',
+        type: { $first: '$type' },
+        occurredAt: { $first: '$occurredAt' },
+        seq: { $first: '$seq' },
+        clientOpId: { $first: '$clientOpId' },
+      },
+    },
+  ]);
+
+  return new Map(
+    states.map((state) => [
+      state._id,
+      {
+        learned: state.type !== 'unlearn',
+        occurredAt: state.occurredAt,
+        seq: state.seq,
+        clientOpId: state.clientOpId,
+      },
+    ])
+  );
+};
+
+/**
+ * Static method to summarise activity per local calendar day
+ * @param {ObjectId} userId - ID of the user
+ * @param {string} timeZone - IANA timezone the days are computed in
+ * @param {string} from - First day (YYYY-MM-DD, inclusive)
+ * @param {string} to - Last day (YYYY-MM-DD, inclusive)
+ * @returns {Promise<Array>} One entry per active day, oldest first
+ */
+progressEventSchema.statics.getDailyActivity = function (userId, timeZone, from, to) {
+  // Widen the UTC window by a day on each side so every timezone offset is
+  // covered, then keep only the requested local days
+  const start = new Date(dayToUTC(from).getTime() - DAY_MS);
+  const end = new Date(dayToUTC(addDays(to, 1)).getTime() + DAY_MS);
+
+  return this.aggregate([
+    { $match: { user: userId, occurredAt: { $gte: start, $lt: end } } },
+    {
+      $project: {
+        type: 1,
+        wordCount: { $size: '$wordIds' },
+        day: { $dateToString: { format: '%Y-%m-%d', date: '$occurredAt', timezone: timeZone } },
+      },
+    },
+    { $match: { day: { $gte: from, $lte: to } } },
+    {
+      $group: {
+        _id: '$day',
+        events: { $sum: 1 },
+        wordsLearned: {
+          $sum: { $cond: [{ $in: ['$type', ['learn', 'batch']] }, '$wordCount', 0] },
+        },
+        wordsUnlearned: {
+          $sum: { $cond: [{ $eq: ['$type', 'unlearn'] }, '$wordCount', 0] },
+        },
+        reviews: {
+          $sum: { $cond: [{ $eq: ['$type', 'review'] }, 1, 0] },
+        },
+      },
+    },
+    { $sort: { _id: 1 } },
+    {
+      $project: {
+        _id: 0,
+        date: '$_id',
+        events: 1,
+        wordsLearned: 1,
+        wordsUnlearned: 1,
+        reviews: 1,
+      },
+    },
+  ]);
+};
+
+/**
+ * Static method to compute the user's current and longest study streaks
+ * A streak is still current if the last study day was today or yesterday
+ * @param {ObjectId} userId - ID of the user
+ * @param {string} timeZone - IANA timezone the days are computed in
+ * @returns {Promise<Object>} Streak summary
+ */
+progressEventSchema.statics.getStreak = async function (userId, timeZone) {
+  const days = await this.aggregate([
+    { $match: { user: userId, type: { $in: STUDY_EVENT_TYPES } } },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$occurredAt', timezone: timeZone } },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  const activeDays = days.map((d) => d._id);
+  const today = toLocalDay(new Date(), timeZone);
+
+  let longestStreak = 0;
+  let run = 0;
+  activeDays.forEach((day, index) => {
+    run = index > 0 && daysBetween(activeDays[index - 1], day) === 1 ? run + 1 : 1;
+    longestStreak = Math.max(longestStreak, run);
+  });
+
+  const lastActiveDate = activeDays[activeDays.length - 1] || null;
+  const isCurrent = lastActiveDate !== null && daysBetween(lastActiveDate, today) <= 1;
+
+  return {
+    currentStreak: isCurrent ? run : 0,
+    longestStreak,
+    activeToday: lastActiveDate === today,
+    lastActiveDate,
+    totalActiveDays: activeDays.length,
+    timezone: timeZone,
+  };
+};
+
+progressEventSchema.statics.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = mongoose.model('ProgressEvent', progressEventSchema);
@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+
+const QUESTION_KINDS = ['arabic-to-meaning', 'meaning-to-arabic', 'transliteration-to-arabic'];
+
+/**
+ * Quiz Question Schema
+ * A single multiple-choice question; correctIndex is never sent to the client
+ * before the quiz is graded
+ */
+const questionSchema = new mongoose.Schema(
+  {
+    wordId: {
+      type: Number,
+      required: [true, 'Word ID is required'],
+    },
+    kind: {
+      type: String,
+      required: [true, 'Question kind is required'],
+      enum: {
+        values: QUESTION_KINDS,
+        message: 'Invalid question kind: {VALUE}',
+      },
+    },
+    prompt: {
+      type: String,
+      required: [true, 'Prompt is required'],
+    },
+    options: {
+      type: [String],
+      required: [true, 'Options are required'],
+    },
+    correctIndex: {
+      type: Number,
+      required: [true, 'Correct option index is required'],
+      min: 0,
+    },
+    answerIndex: {
+      type: Number,
+      default: null,
+    },
+    isCorrect: {
+      type: Boolean,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Quiz Schema
+ * A server-generated multiple-choice quiz and its graded result for a user
+ */
+const quizSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+    },
+    source: {
+      type: String,
+      enum: ['learned', 'unlearned', 'all'],
+      default: 'learned',
+    },
+    questions: {
+      type: [questionSchema],
+      validate: [(questions) => questions.length > 0, 'A quiz needs at least one question'],
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'completed'],
+      default: 'pending',
+    },
+    score: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'quizzes',
+  }
+);
+
+// Quiz history per user, newest first
+quizSchema.index({ user: 1, createdAt: -1 });
+
+/**
+ * Instance method to grade submitted answers
+ * Unanswered questions count as incorrect. The quiz is only graded if it is
+ * still pending, so concurrent submissions cannot grade it twice
+ * @param {Array<{index: number, answer: number}>} answers - Chosen option per question
+ * @returns {Promise<Quiz|null>} The graded quiz, or null if it was already graded
+ */
+quizSchema.methods.grade = function (answers) {
+  const answerByIndex = new Map(
+    answers.map((a) => [parseInt(a.index), parseInt(a.answer)])
+  );
+
+  let score = 0;
+  const questions = this.questions.map((question, index) => {
+    const answerIndex = answerByIndex.has(index) ? answerByIndex.get(index) : null;
+    const isCorrect = answerIndex === question.correctIndex;
+    if (isCorrect) score++;
+
+    return {
+      ...question.toObject(),
+      answerIndex: Number.isInteger(answerIndex) ? answerIndex : null,
+      isCorrect,
+    };
+  });
+
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, status: 'pending' },
+    { $set: { questions, score, status: 'completed', completedAt: new Date() } },
+    { new: true, runValidators: true }
+  );
+};
+
+/**
+ * Instance method to get the client-facing representation of the quiz
+ * Correct answers are only revealed once the quiz is completed
+ * @returns {Object} Quiz data safe to send to the client
+ */
+quizSchema.methods.toClient = function () {
+  const completed = this.status === 'completed';
+
+  return {
+    quizId: this._id,
+    source: this.source,
+    status: this.status,
+    total: this.questions.length,
+    score: completed ? this.score : null,
+    createdAt: this.createdAt,
+    completedAt: this.completedAt,
+    questions: this.questions.map((question, index) => ({
+      index,
+      kind: question.kind,
+      prompt: question.prompt,
+      options: question.options,
+      ...(completed && {
+        wordId: question.wordId,
+        correctIndex: question.correctIndex,
+        answerIndex: question.answerIndex,
+        isCorrect: question.isCorrect,
+      }),
+    })),
+  };
+};
+
+quizSchema.statics.QUESTION_KINDS = QUESTION_KINDS;
+
+module.exports = mongoose.model('Quiz', quizSchema);
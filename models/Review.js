@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE_FACTOR = 1.3;
+
+/**
+ * Review Schema
+ * Spaced-repetition (SM-2) review state of a learned word for a single user
+ */
+const reviewSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+    },
+    wordId: {
+      type: Number,
+      required: [true, 'Word ID is required'],
+    },
+    easeFactor: {
+      type: Number,
+      default: 2.5,
+      min: [MIN_EASE_FACTOR, `Ease factor must be at least ${MIN_EASE_FACTOR}`],
+    },
+    interval: {
+      type: Number,
+      default: 0,
+      min: [0, 'Interval must be non-negative'],
+    },
+    repetitions: {
+      type: Number,
+      default: 0,
+      min: [0, 'Repetitions must be non-negative'],
+    },
+    lapses: {
+      type: Number,
+      default: 0,
+      min: [0, 'Lapses must be non-negative'],
+    },
+    dueAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastReviewedAt: {
+      type: Date,
+      default: null,
+    },
+    lastGrade: {
+      type: Number,
+      min: 0,
+      max: 5,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'reviews',
+  }
+);
+
+// One review state per user and word
+reviewSchema.index({ user: 1, wordId: 1 }, { unique: true });
+
+// Due queue lookups
+reviewSchema.index({ user: 1, dueAt: 1 });
+
+/**
+ * Instance method to apply a recall grade using the SM-2 algorithm
+ * @param {number} grade - Recall quality from 0 (blackout) to 5 (perfect)
+ * @param {Date} reviewedAt - Time of the review (default: now)
+ * @returns {Review} The updated (unsaved) review document
+ */
+reviewSchema.methods.applyGrade = function (grade, reviewedAt = new Date()) {
+  if (grade >= 3) {
+    if (this.repetitions === 0) {
+      this.interval = 1;
+    } else if (this.repetitions === 1) {
+      this.interval = 6;
+    } else {
+      this.interval = Math.round(this.interval * this.easeFactor);
+    }
+    this.repetitions += 1;
+  } else {
+    // Failed recall: start the word over from a one-day interval
+    this.repetitions = 0;
+    this.interval = 1;
+    this.lapses += 1;
+  }
+
+  const easeFactor = this.easeFactor + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02));
+  this.easeFactor = Math.max(MIN_EASE_FACTOR, parseFloat(easeFactor.toFixed(2)));
+
+  this.lastGrade = grade;
+  this.lastReviewedAt = reviewedAt;
+  this.dueAt = new Date(reviewedAt.getTime() + this.interval * DAY_MS);
+
+  return this;
+};
+
+/**
+ * Static method to create review state for newly learned words
+ * Existing review state is left untouched
+ * @param {ObjectId} userId - ID of the user
+ * @param {Array<number>} wordIds - IDs of the learned words
+ * @param {Date} dueAt - First review date (default: one day from now)
+ * @returns {Promise<Object>} Bulk write result
+ */
+reviewSchema.statics.scheduleForWords = function (
+  userId,
+  wordIds,
+  dueAt = new Date(Date.now() + DAY_MS)
+) {
+  if (!wordIds.length) {
+    return Promise.resolve(null);
+  }
+
+  return this.bulkWrite(
+    wordIds.map((wordId) => ({
+      updateOne: {
+        filter: { user: userId, wordId },
+        update: { $setOnInsert: { user: userId, wordId, dueAt } },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+};
+
+/**
+ * Static method to drop review state for unlearned words
+ * @param {ObjectId} userId - ID of the user
+ * @param {Array<number>} wordIds - IDs of the unlearned words
+ * @returns {Promise<Object>} Delete result
+ */
+reviewSchema.statics.removeForWords = function (userId, wordIds) {
+  return this.deleteMany({ user: userId, wordId: { $in: wordIds } });
+};
+
+/**
+ * Static method to backfill review state for words learned before
+ * spaced repetition existed
+ * @param {User} user - User document
+ * @returns {Promise<number>} Number of review states created
+ */
+reviewSchema.statics.ensureForUser = async function (user) {
+  const [learnedIds, scheduledIds] = await Promise.all([
+    mongoose.model('UserWord').getLearnedIds(user._id),
+    this.distinct('wordId', { user: user._id }),
+  ]);
+  const scheduled = new Set(scheduledIds);
+  const missingIds = learnedIds.filter((id) => !scheduled.has(id));
+
+  if (missingIds.length > 0) {
+    // These words were learned long ago, so they are due right away
+    await this.scheduleForWords(user._id, missingIds, new Date());
+  }
+
+  return missingIds.length;
+};
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,228 @@
+const mongoose = require('mongoose');
+
+const REVISION_ACTIONS = ['baseline', 'create', 'update', 'delete', 'rollback'];
+
+// Where a revision came from: the admin API, a seed script, or the state found
+// before the first recorded change
+const REVISION_SOURCES = ['admin', 'seed', 'baseline'];
+
+const REVISION_ENTITIES = ['word', 'story'];
+
+/**
+ * Revision Schema
+ * Versioned snapshots of the editable fields of words and stories. Every
+ * change adds the next version with the full new state; a deletion stores null.
+ */
+const revisionSchema = new mongoose.Schema(
+  {
+    entity: {
+      type: String,
+      required: [true, 'Entity is required'],
+      enum: {
+        values: REVISION_ENTITIES,
+        message: 'Invalid revision entity: {VALUE}',
+      },
+    },
+    entityId: {
+      type: Number,
+      required: [true, 'Entity ID is required'],
+    },
+    version: {
+      type: Number,
+      required: [true, 'Version is required'],
+      min: [1, 'Versions start at 1'],
+    },
+    action: {
+      type: String,
+      required: [true, 'Action is required'],
+      enum: {
+        values: REVISION_ACTIONS,
+        message: 'Invalid revision action: {VALUE}',
+      },
+    },
+    source: {
+      type: String,
+      required: [true, 'Source is required'],
+      enum: {
+        values: REVISION_SOURCES,
+        message: 'Invalid revision source: {VALUE}',
+      },
+    },
+    // Editor who made the change; null for seeds and baselines
+    author: {
+      type: new mongoose.Schema(
+        {
+          user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+          uid: String,
+          email: String,
+          displayName: String,
+          role: String,
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+    // Editable fields after the change; null once deleted
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // Rollbacks: the version that was restored
+    revertedTo: {
+      type: Number,
+      default: undefined,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    collection: 'revisions',
+  }
+);
+
+// One document per version; also serves history lookups, newest first
+revisionSchema.index({ entity: 1, entityId: 1, version: -1 }, { unique: true });
+
+/**
+ * Reject any modification of recorded revisions
+ */
+function rejectMutation(next) {
+  next(new Error('Revisions are append-only'));
+}
+
+revisionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  rejectMutation
+);
+
+revisionSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+/**
+ * Compare the data of two revisions
+ * @param {Object|null} from - Older data (null if none or deleted)
+ * @param {Object|null} to - Newer data (null if deleted)
+ * @returns {Object} { field: { from, to } } for every field that differs
+ */
+const diffData = (from, to) => {
+  const fields = new Set([...Object.keys(from || {}), ...Object.keys(to || {})]);
+  fields.delete('id');
+
+  const changes = {};
+  for (const field of fields) {
+    const before = from ? from[field] ?? null : null;
+    const after = to ? to[field] ?? null : null;
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      changes[field] = { from: before, to: after };
+    }
+  }
+  return changes;
+};
+
+/**
+ * Static method to get the latest version number per entity
+ * @param {string} entity - word or story
+ * @param {Array<number>} entityIds - Entity IDs
+ * @returns {Promise<Map<number, number>>} entityId → latest version (missing if none)
+ */
+revisionSchema.statics.getLatestVersions = async function (entity, entityIds) {
+  const latest = await this.aggregate([
+    { $match: { entity, entityId: { $in: entityIds } } },
+    { $group: { _id: '$entityId', version: { $max: '$version' } } },
+  ]);
+  return new Map(latest.map(({ _id, version }) => [_id, version]));
+};
+
+/**
+ * Static method to append a revision as the next version of its entity
+ * Retried when a concurrent change took the same version number
+ * @param {Object} revision - { entity, entityId, action, source, author, data, revertedTo }
+ * @returns {Promise<Revision>} Created revision
+ */
+revisionSchema.statics.record = async function (revision) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const latest = await this.findOne({ entity: revision.entity, entityId: revision.entityId })
+      .sort({ version: -1 })
+      .select('version')
+      .lean();
+
+    try {
+      return await this.create({ ...revision, version: latest ? latest.version + 1 : 1 });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  throw new Error(`Could not record revision of ${revision.entity} ${revision.entityId}: it kept changing`);
+};
+
+/**
+ * Static method to append many revisions at once (imports)
+ * Revisions of the same entity get consecutive versions in the given order.
+ * Not safe against concurrent changes to the same entities.
+ * @param {string} entity - word or story
+ * @param {Array<Object>} revisions - { entityId, action, source, author, data }
+ * @returns {Promise<number>} Number of revisions recorded
+ */
+revisionSchema.statics.recordMany = async function (entity, revisions) {
+  if (!revisions.length) {
+    return 0;
+  }
+
+  const versions = await this.getLatestVersions(entity, [...new Set(revisions.map((r) => r.entityId))]);
+  const documents = revisions.map((revision) => {
+    const version = (versions.get(revision.entityId) || 0) + 1;
+    versions.set(revision.entityId, version);
+    return { ...revision, entity, version };
+  });
+
+  await this.insertMany(documents, { ordered: true });
+  return documents.length;
+};
+
+/**
+ * Static method to get the revision history of an entity, newest first
+ * Each revision lists the fields it changed compared with the version before it
+ * @param {string} entity - word or story
+ * @param {number} entityId - Entity ID
+ * @param {Object} options - Paging options
+ * @param {number} options.page - Page number (1-based)
+ * @param {number} options.limit - Revisions per page
+ * @returns {Promise<Object>} { revisions, total }
+ */
+revisionSchema.statics.getHistory = async function (entity, entityId, { page = 1, limit = 20 } = {}) {
+  const query = { entity, entityId };
+
+  // One extra revision to diff the oldest one on the page against
+  const [found, total] = await Promise.all([
+    this.find(query)
+      .sort({ version: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit + 1)
+      .select('version action source author.displayName author.role data revertedTo createdAt')
+      .lean(),
+    this.countDocuments(query),
+  ]);
+
+  const revisions = found.slice(0, limit).map((revision, index) => ({
+    version: revision.version,
+    action: revision.action,
+    source: revision.source,
+    author: revision.author || null,
+    revertedTo: revision.revertedTo,
+    createdAt: revision.createdAt,
+    changes: diffData(found[index + 1] ? found[index + 1].data : null, revision.data),
+    data: revision.data,
+  }));
+
+  return { revisions, total };
+};
+
+revisionSchema.statics.REVISION_ENTITIES = REVISION_ENTITIES;
+
+module.exports = mongoose.model('Revision', revisionSchema);
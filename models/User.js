@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { isValidTimeZone } = require('../utils/timezone');
+const { SUPPORTED_LANGUAGES } = require('../config/languages');
 
 /**
  * User Schema
@@ -19,11 +21,6 @@ const userSchema = new mongoose.Schema(
       trim: true,
       match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address'],
     },
-    learnedWords: {
-      type: [Number],
-      default: [],
-      index: true,
-    },
     totalFrequencyKnown: {
       type: Number,
       default: 0,
@@ -41,6 +38,26 @@ const userSchema = new mongoose.Schema(
       type: Date,
       default: Date.now,
     },
+    syncSeq: {
+      type: Number,
+      default: 0,
+      min: [0, 'Sync sequence must be non-negative'],
+    },
+    timezone: {
+      type: String,
+      default: 'UTC',
+      trim: true,
+      validate: {
+        validator: isValidTimeZone,
+        message: 'Invalid IANA timezone: {VALUE}',
+      },
+    },
+    // Preferred gloss/translation language; null falls back to Accept-Language
+    language: {
+      type: String,
+      enum: { values: [...SUPPORTED_LANGUAGES, null], message: 'Unsupported language: {VALUE}' },
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -48,41 +65,106 @@ const userSchema = new mongoose.Schema(
   }
 );
 
-// Compound index for efficient queries
-userSchema.index({ firebaseUid: 1, learnedWords: 1 });
+/**
+ * Atomically shift a user's known frequency and touch lastActive
+ * The total never drops below zero
+ * @param {Model} User - User model
+ * @param {ObjectId} userId - ID of the user
+ * @param {number} delta - Frequency to add (negative to subtract)
+ * @returns {Promise<number>} The new total frequency known
+ */
+const applyFrequencyDelta = async (User, userId, delta) => {
+  const updated = await User.findOneAndUpdate(
+    { _id: userId },
+    [
+      {
+        $set: {
+          totalFrequencyKnown: { $max: [0, { $add: ['$totalFrequencyKnown', delta] }] },
+          lastActive: '$$NOW',
+        },
+      },
+    ],
+    { new: true, projection: { totalFrequencyKnown: 1 } }
+  ).lean();
+  return updated ? updated.totalFrequencyKnown : 0;
+};
 
 /**
- * Instance method to add a learned word
- * @param {number} wordId - ID of the word learned
- * @param {number} frequency - Frequency of the word
- * @returns {Promise<User>} Updated user document
+ * Instance method to mark words as learned
+ * Only words that were not already learned are added and counted, even when
+ * several requests for the same user run at once
+ * @param {Array<Object>} words - Word documents ({ id, frequency })
+ * @param {string} source - How the words were learned (see UserWord.LEARN_SOURCES)
+ * @param {Date|Map<number, Date>} learnedAt - When the words were learned (default: now)
+ * @returns {Promise<Object>} { addedIds, totalFrequencyKnown }
  */
-userSchema.methods.addLearnedWord = async function (wordId, frequency) {
-  if (!this.learnedWords.includes(wordId)) {
-    this.learnedWords.push(wordId);
-    this.totalFrequencyKnown += frequency;
-    this.lastActive = new Date();
-    return await this.save();
-  }
-  return this;
+userSchema.methods.learnWords = async function (words, source = 'manual', learnedAt = new Date()) {
+  const addedIds = await mongoose
+    .model('UserWord')
+    .insertLearned(this._id, words.map((word) => word.id), source, learnedAt);
+
+  const added = new Set(addedIds);
+  const delta = words
+    .filter((word) => added.has(word.id))
+    .reduce((sum, word) => sum + word.frequency, 0);
+
+  const totalFrequencyKnown = await applyFrequencyDelta(this.constructor, this._id, delta);
+  return { addedIds, totalFrequencyKnown };
+};
+
+/**
+ * Instance method to remove words from the learned list
+ * Only words this call actually removed are subtracted
+ * @param {Array<Object>} words - Word documents ({ id, frequency })
+ * @returns {Promise<Object>} { removedIds, totalFrequencyKnown }
+ */
+userSchema.methods.unlearnWords = async function (words) {
+  const removedIds = await mongoose
+    .model('UserWord')
+    .deleteLearned(this._id, words.map((word) => word.id));
+
+  const removed = new Set(removedIds);
+  const delta = words
+    .filter((word) => removed.has(word.id))
+    .reduce((sum, word) => sum + word.frequency, 0);
+
+  const totalFrequencyKnown = await applyFrequencyDelta(this.constructor, this._id, -delta);
+  return { removedIds, totalFrequencyKnown };
+};
+
+/**
+ * Instance method to update the last active timestamp
+ * @returns {Promise<Object>} Update result
+ */
+userSchema.methods.touch = function () {
+  return this.constructor.updateOne({ _id: this._id }, { $set: { lastActive: new Date() } });
 };
 
 /**
  * Instance method to check if a word is learned
  * @param {number} wordId - ID of the word to check
- * @returns {boolean} True if word is learned
+ * @returns {Promise<boolean>} True if word is learned
+ */
+userSchema.methods.hasLearnedWord = async function (wordId) {
+  const entry = await mongoose.model('UserWord').exists({ user: this._id, wordId });
+  return entry !== null;
+};
+
+/**
+ * Instance method to count the words the user has learned
+ * @returns {Promise<number>} Number of learned words
  */
-userSchema.methods.hasLearnedWord = function (wordId) {
-  return this.learnedWords.includes(wordId);
+userSchema.methods.countLearnedWords = function () {
+  return mongoose.model('UserWord').countDocuments({ user: this._id });
 };
 
 /**
  * Instance method to get learning progress statistics
- * @returns {Object} Progress statistics
+ * @returns {Promise<Object>} Progress statistics
  */
-userSchema.methods.getStats = function () {
+userSchema.methods.getStats = async function () {
   return {
-    totalWordsLearned: this.learnedWords.length,
+    totalWordsLearned: await this.countLearnedWords(),
     totalFrequencyKnown: this.totalFrequencyKnown,
     memberSince: this.createdAt,
     lastActive: this.lastActive,
@@ -97,34 +179,69 @@ userSchema.methods.getStats = function () {
 userSchema.statics.findOrCreate = async function (userData) {
   const { uid, email, displayName, photoURL } = userData;
 
-  let user = await this.findOne({ firebaseUid: uid });
-
-  if (!user) {
-    user = await this.create({
-      firebaseUid: uid,
-      email: email,
-      displayName: displayName || null,
-      photoURL: photoURL || null,
-      learnedWords: [],
-      totalFrequencyKnown: 0,
-    });
+  // Single upsert so concurrent first requests cannot create the user twice
+  const result = await this.findOneAndUpdate(
+    { firebaseUid: uid },
+    {
+      $set: { lastActive: new Date() },
+      $setOnInsert: {
+        firebaseUid: uid,
+        email: email,
+        displayName: displayName || null,
+        photoURL: photoURL || null,
+        totalFrequencyKnown: 0,
+      },
+    },
+    {
+      new: true,
+      upsert: true,
+      runValidators: true,
+      setDefaultsOnInsert: true,
+      includeResultMetadata: true,
+    }
+  );
+
+  if (!result.lastErrorObject?.updatedExisting) {
     console.log(`✅ New user created: ${email}`);
-  } else {
-    // Update last active timestamp
-    user.lastActive = new Date();
-    await user.save();
   }
 
-  return user;
+  return result.value;
 };
 
 /**
- * Pre-save hook to ensure data integrity
+ * Static method to recompute a user's totalFrequencyKnown from the learned set
+ * The write only applies if the stored total did not change in the meantime,
+ * otherwise the computation is retried
+ * @param {ObjectId} userId - ID of the user
+ * @param {Object} options - Options
+ * @param {boolean} options.dryRun - Report the drift without writing it
+ * @returns {Promise<Object|null>} { previous, total, drift } or null if the user does not exist
  */
-userSchema.pre('save', function (next) {
-  // Remove duplicates from learnedWords array
-  this.learnedWords = [...new Set(this.learnedWords)];
-  next();
-});
+userSchema.statics.reconcileTotalFrequency = async function (userId, { dryRun = false } = {}) {
+  const UserWord = mongoose.model('UserWord');
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const user = await this.findById(userId).select('totalFrequencyKnown').lean();
+    if (!user) return null;
+
+    const previous = user.totalFrequencyKnown;
+    const total = await UserWord.sumLearnedFrequency(userId);
+    const report = { previous, total, drift: previous - total };
+
+    if (dryRun || previous === total) {
+      return report;
+    }
+
+    const result = await this.updateOne(
+      { _id: userId, totalFrequencyKnown: previous },
+      { $set: { totalFrequencyKnown: total } }
+    );
+    if (result.modifiedCount === 1) {
+      return report;
+    }
+  }
+
+  throw new Error(`Could not reconcile user ${userId}: progress kept changing`);
+};
 
 module.exports = mongoose.model('User', userSchema);
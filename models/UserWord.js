@@ -0,0 +1,223 @@
+const mongoose = require('mongoose');
+
+const LEARN_SOURCES = ['manual', 'batch', 'import', 'sync'];
+
+/**
+ * User Word Schema
+ * A word a user has learned, stored one document per user and word
+ */
+const userWordSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+    },
+    wordId: {
+      type: Number,
+      required: [true, 'Word ID is required'],
+    },
+    learnedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    source: {
+      type: String,
+      enum: {
+        values: LEARN_SOURCES,
+        message: 'Invalid learn source: {VALUE}',
+      },
+      default: 'manual',
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'user_words',
+  }
+);
+
+// A word is learned at most once per user; also serves the anti-join
+// against the words collection
+userWordSchema.index({ user: 1, wordId: 1 }, { unique: true });
+
+// Learned words in learning order
+userWordSchema.index({ user: 1, learnedAt: -1 });
+
+// Sort options for the learned words list: tie-breakers keep paging stable
+const LEARNED_SORTS = {
+  learnedAt: (order) => ({ learnedAt: order, _id: order }),
+  frequency: (order) => ({ 'word.frequency': order, 'word.id': 1 }),
+  type: (order) => ({ 'word.type': order, 'word.frequency': -1, 'word.id': 1 }),
+};
+
+/**
+ * Static method to insert learned words for a user
+ * Each word is an upsert on the unique (user, wordId) index, so concurrent
+ * calls for the same word add it exactly once
+ * @param {ObjectId} userId - ID of the user
+ * @param {Array<number>} wordIds - IDs of the words to add
+ * @param {string} source - How the words were learned
+ * @param {Date|Map<number, Date>} learnedAt - When the words were learned,
+ *   either one date for all or a date per word ID (default: now)
+ * @returns {Promise<Array<number>>} IDs of the words this call actually added
+ */
+userWordSchema.statics.insertLearned = async function (
+  userId,
+  wordIds,
+  source,
+  learnedAt = new Date()
+) {
+  if (!wordIds.length) {
+    return [];
+  }
+
+  const operations = wordIds.map((wordId) => ({
+    updateOne: {
+      filter: { user: userId, wordId },
+      update: {
+        $setOnInsert: {
+          user: userId,
+          wordId,
+          source,
+          learnedAt: learnedAt instanceof Map ? learnedAt.get(wordId) : learnedAt,
+        },
+      },
+      upsert: true,
+    },
+  }));
+
+  let result;
+  try {
+    result = await this.bulkWrite(operations, { ordered: false });
+  } catch (error) {
+    // An upsert that loses a race with a concurrent insert fails with a
+    // duplicate key error: the other request added that word
+    const writeErrors = [].concat(error.writeErrors || []);
+    if (!error.result || writeErrors.some((e) => e.code !== 11000)) {
+      throw error;
+    }
+    result = error.result;
+  }
+
+  return Object.keys(result.upsertedIds).map((index) => wordIds[index]);
+};
+
+/**
+ * Static method to remove learned words for a user
+ * Each delete is atomic, so a word removed by a concurrent request is not
+ * reported twice
+ * @param {ObjectId} userId - ID of the user
+ * @param {Array<number>} wordIds - IDs of the words to remove
+ * @returns {Promise<Array<number>>} IDs of the words this call actually removed
+ */
+userWordSchema.statics.deleteLearned = async function (userId, wordIds) {
+  const removed = await Promise.all(
+    wordIds.map((wordId) =>
+      this.findOneAndDelete({ user: userId, wordId }).select('wordId').lean()
+    )
+  );
+  return removed.filter(Boolean).map((entry) => entry.wordId);
+};
+
+/**
+ * Static method to sum the Quran frequency of all words a user has learned
+ * @param {ObjectId} userId - ID of the user
+ * @returns {Promise<number>} Total frequency of the learned set
+ */
+userWordSchema.statics.sumLearnedFrequency = async function (userId) {
+  const [result] = await this.aggregate([
+    { $match: { user: userId } },
+    {
+      $lookup: {
+        from: mongoose.model('Word').collection.name,
+        localField: 'wordId',
+        foreignField: 'id',
+        as: 'word',
+      },
+    },
+    { $unwind: '$word' },
+    { $group: { _id: null, total: { $sum: '$word.frequency' } } },
+  ]);
+  return result ? result.total : 0;
+};
+
+/**
+ * Static method to get the IDs of all words a user has learned
+ * @param {ObjectId} userId - ID of the user
+ * @returns {Promise<Array<number>>} Learned word IDs
+ */
+userWordSchema.statics.getLearnedIds = function (userId) {
+  return this.distinct('wordId', { user: userId });
+};
+
+/**
+ * Static method to find which of the given words a user has learned
+ * @param {ObjectId} userId - ID of the user
+ * @param {Array<number>} wordIds - Word IDs to check
+ * @returns {Promise<Set<number>>} The learned subset of wordIds
+ */
+userWordSchema.statics.getLearnedSet = async function (userId, wordIds) {
+  const learned = await this.find({ user: userId, wordId: { $in: wordIds } })
+    .select('wordId')
+    .lean();
+  return new Set(learned.map((entry) => entry.wordId));
+};
+
+/**
+ * Static method to set isLearned on a list of plain word objects
+ * @param {ObjectId} userId - ID of the user
+ * @param {Array<Object>} words - Lean word documents (modified in place)
+ * @returns {Promise<Array<Object>>} The same words
+ */
+userWordSchema.statics.markLearned = async function (userId, words) {
+  const learned = await this.getLearnedSet(userId, words.map((word) => word.id));
+  words.forEach((word) => {
+    word.isLearned = learned.has(word.id);
+  });
+  return words;
+};
+
+/**
+ * Static method to get one page of a user's learned words across the full set
+ * @param {ObjectId} userId - ID of the user
+ * @param {Object} options - Paging and sorting options
+ * @param {string} options.sortBy - 'learnedAt', 'frequency' or 'type'
+ * @param {number} options.order - 1 for ascending, -1 for descending
+ * @param {number} options.skip - Number of entries to skip
+ * @param {number} options.limit - Page size
+ * @returns {Promise<Array>} Words with learnedAt and source
+ */
+userWordSchema.statics.findLearnedPage = function (userId, { sortBy, order, skip, limit }) {
+  const sort = LEARNED_SORTS[sortBy](order);
+  const lookup = [
+    {
+      $lookup: {
+        from: mongoose.model('Word').collection.name,
+        localField: 'wordId',
+        foreignField: 'id',
+        as: 'word',
+      },
+    },
+    { $unwind: '$word' },
+  ];
+  const page = [{ $sort: sort }, { $skip: skip }, { $limit: limit }];
+
+  // learnedAt can be paged from the index before joining; the other sorts
+  // need the word fields first
+  const pipeline = sortBy === 'learnedAt' ? [...page, ...lookup] : [...lookup, ...page];
+
+  return this.aggregate([
+    { $match: { user: userId } },
+    ...pipeline,
+    {
+      $replaceRoot: {
+        newRoot: { $mergeObjects: ['$word', { learnedAt: '$learnedAt', source: '$source' }] },
+      },
+    },
+  ]);
+};
+
+userWordSchema.statics.LEARN_SOURCES = LEARN_SOURCES;
+userWordSchema.statics.LEARNED_SORTS = Object.keys(LEARNED_SORTS);
+
+module.exports = mongoose.model('UserWord', userWordSchema);
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+/**
+ * Verse Token Schema
+ * A single word of a verse with its normalized form for matching
+ */
+const tokenSchema = new mongoose.Schema(
+  {
+    position: {
+      type: Number,
+      required: [true, 'Token position is required'],
+      min: [1, 'Token position starts at 1'],
+    },
+    text: {
+      type: String,
+      required: [true, 'Token text is required'],
+    },
+    normalized: {
+      type: String,
+      required: [true, 'Normalized token is required'],
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Verse Schema
+ * A Quran verse imported from a local text file, with a word-level token index
+ */
+const verseSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, 'Verse key is required'],
+      unique: true,
+      match: [/^\d+:\d+$/, 'Verse key must look like "chapter:verse"'],
+    },
+    chapter: {
+      type: Number,
+      required: [true, 'Chapter number is required'],
+      min: 1,
+      max: 114,
+    },
+    verse: {
+      type: Number,
+      required: [true, 'Verse number is required'],
+      min: 1,
+    },
+    text: {
+      type: String,
+      required: [true, 'Verse text is required'],
+    },
+    textSimple: {
+      type: String,
+      default: null,
+    },
+    tokens: {
+      type: [tokenSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'verses',
+  }
+);
+
+// Reading order
+verseSchema.index({ chapter: 1, verse: 1 }, { unique: true });
+
+// Word occurrence lookups
+verseSchema.index({ 'tokens.normalized': 1, chapter: 1, verse: 1 });
+
+/**
+ * Static method to find verses containing a normalized token, in reading order
+ * @param {string} normalized - Normalized token (see utils/arabic)
+ * @param {Object} options - Paging options ({ skip, limit })
+ * @returns {Promise<Array>} Verses
+ */
+verseSchema.statics.findContaining = function (normalized, { skip = 0, limit = 20 } = {}) {
+  return this.find({ 'tokens.normalized': normalized })
+    .sort({ chapter: 1, verse: 1 })
+    .skip(skip)
+    .limit(limit)
+    .lean();
+};
+
+/**
+ * Static method to count the occurrences of a normalized token per surah
+ * @param {string} normalized - Normalized token (see utils/arabic)
+ * @returns {Promise<Object>} { totalOccurrences, totalVerses, distribution }
+ */
+verseSchema.statics.getOccurrenceStats = async function (normalized) {
+  const distribution = await this.aggregate([
+    { $match: { 'tokens.normalized': normalized } },
+    { $unwind: '$tokens' },
+    { $match: { 'tokens.normalized': normalized } },
+    { $group: { _id: { chapter: '$chapter', key: '$key' }, count: { $sum: 1 } } },
+    {
+      $group: {
+        _id: '$_id.chapter',
+        occurrences: { $sum: '$count' },
+        verses: { $sum: 1 },
+      },
+    },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, chapter: '$_id', occurrences: 1, verses: 1 } },
+  ]);
+
+  return {
+    totalOccurrences: distribution.reduce((sum, row) => sum + row.occurrences, 0),
+    totalVerses: distribution.reduce((sum, row) => sum + row.verses, 0),
+    distribution,
+  };
+};
+
+module.exports = mongoose.model('Verse', verseSchema);
@@ -1,4 +1,47 @@
 const mongoose = require('mongoose');
+const { normalizeArabic } = require('../utils/arabic');
+const { foldLatin, tokenizeText } = require('../utils/search');
+const { VERB_FORMS } = require('../utils/conjugation');
+const { PARTS_OF_SPEECH } = require('../utils/partOfSpeech');
+const { SUPPORTED_LANGUAGES } = require('../config/languages');
+
+// Sources of a word's example verses
+const EXAMPLE_SOURCES = ['job', 'editor'];
+
+/**
+ * Example Set Schema
+ * Verses shown as examples of a word, precomputed by precompute-examples.js
+ * or chosen by an editor; editor choices are never recomputed
+ */
+const exampleSetSchema = new mongoose.Schema(
+  {
+    verseKeys: {
+      type: [
+        {
+          type: String,
+          match: [/^\d+:\d+$/, 'Verse key must look like "chapter:verse"'],
+        },
+      ],
+      default: [],
+    },
+    source: {
+      type: String,
+      enum: EXAMPLE_SOURCES,
+      required: true,
+    },
+    // Normalized form the examples were searched for; a respelled word is recomputed
+    form: {
+      type: String,
+      default: null,
+    },
+    // When the job computed the examples or the editor chose them
+    computedAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { _id: false }
+);
 
 /**
  * Word Schema
@@ -17,6 +60,10 @@ const wordSchema = new mongoose.Schema(
       required: [true, 'Arabic text is required'],
       trim: true,
     },
+    arabicNormalized: {
+      type: String,
+      index: true,
+    },
     translation: {
       type: String,
       required: [true, 'Translation is required'],
@@ -30,11 +77,30 @@ const wordSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Locale → gloss; english and bangla are kept for older clients
+    translations: {
+      type: Map,
+      of: String,
+      default: {},
+      validate: {
+        validator: (translations) => [...translations.keys()].every((code) => SUPPORTED_LANGUAGES.includes(code)),
+        message: `Translation languages must be among: ${SUPPORTED_LANGUAGES.join(', ')}`,
+      },
+    },
     transliteration: {
       type: String,
       required: [true, 'Transliteration is required'],
       trim: true,
     },
+    // Normalized shadow fields for search, derived on validate
+    transliterationFolded: {
+      type: String,
+      index: true,
+    },
+    searchTokens: {
+      type: [String],
+      index: true,
+    },
     frequency: {
       type: Number,
       required: [true, 'Frequency is required'],
@@ -44,9 +110,42 @@ const wordSchema = new mongoose.Schema(
     type: {
       type: String,
       required: [true, 'Word type is required'],
-      // Removed enum validation to allow for variations in source file
+      // Raw source tags are mapped onto this set when seeding (see utils/partOfSpeech)
+      enum: { values: PARTS_OF_SPEECH, message: 'Unknown word type: {VALUE}' },
+      trim: true,
+    },
+    // Morphology, imported from a morphology file (see import-morphology.js)
+    root: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    lemma: {
+      type: String,
+      default: null,
+      trim: true,
+    },
+    pattern: {
+      type: String,
+      default: null,
       trim: true,
     },
+    // Derived verb form (I–X), for verbs only
+    verbForm: {
+      type: String,
+      enum: { values: [...VERB_FORMS, null], message: 'Verb form must be one of I–X' },
+      default: null,
+    },
+    // Past and present stem vowels of a form I verb, e.g. "a-u" for kataba/yaktubu
+    verbVowels: {
+      type: String,
+      match: [/^[aiu]-[aiu]$/, 'Verb vowels must look like "a-u"'],
+      default: null,
+    },
+    examples: {
+      type: exampleSetSchema,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -57,6 +156,55 @@ const wordSchema = new mongoose.Schema(
 // Compound index for efficient sorting and filtering
 wordSchema.index({ frequency: -1, id: 1 });
 
+// Index for same-type lookups within a frequency range (quiz distractors)
+wordSchema.index({ type: 1, frequency: -1 });
+
+/**
+ * Frequency bands used to group words of similar importance
+ * Bands are ordered from most to least frequent; max is inclusive
+ */
+const FREQUENCY_BANDS = [
+  { key: 'very-high', min: 100, max: null },
+  { key: 'high', min: 20, max: 99 },
+  { key: 'medium', min: 10, max: 19 },
+  { key: 'low', min: 5, max: 9 },
+  { key: 'rare', min: 0, max: 4 },
+];
+
+/**
+ * Compute the normalized shadow fields of a word
+ * @param {Object} word - Word data ({ arabic, transliteration, translation, english, bangla })
+ * @returns {Object} { arabicNormalized, transliterationFolded, searchTokens }
+ */
+const computeSearchFields = (word) => {
+  const translations = word.translations instanceof Map
+    ? [...word.translations.values()]
+    : Object.values(word.translations || {});
+
+  return {
+    arabicNormalized: normalizeArabic(word.arabic),
+    transliterationFolded: foldLatin(word.transliteration),
+    searchTokens: tokenizeText(word.translation, word.english, word.bangla, ...translations),
+  };
+};
+
+/**
+ * Pre-validate hook to keep the normalized shadow fields in sync
+ * Also runs for insertMany, so seeded words are normalized too
+ */
+wordSchema.pre('validate', function (next) {
+  // Words written with only the legacy fields still get their translations
+  if (!this.translations.get('en') && (this.english || this.translation)) {
+    this.translations.set('en', this.english || this.translation);
+  }
+  if (!this.translations.get('bn') && this.bangla) {
+    this.translations.set('bn', this.bangla);
+  }
+
+  Object.assign(this, computeSearchFields(this));
+  next();
+});
+
 // Virtual for formatted display
 wordSchema.virtual('display').get(function () {
   return `${this.arabic} (${this.transliteration}) - ${this.translation}`;
@@ -87,4 +235,187 @@ wordSchema.statics.getTopWords = function (limit = 100) {
   return this.find().sort({ frequency: -1 }).limit(limit);
 };
 
+/**
+ * Static method to get the frequency band a frequency falls into
+ * @param {number} frequency - Word frequency
+ * @returns {Object} Band with key, min and max (null max means unbounded)
+ */
+wordSchema.statics.getFrequencyBand = function (frequency) {
+  return (
+    FREQUENCY_BANDS.find((band) => frequency >= band.min) ||
+    FREQUENCY_BANDS[FREQUENCY_BANDS.length - 1]
+  );
+};
+
+/**
+ * Static method to pick the gloss of each word in the first available language
+ * Sets translation to that gloss and translationLanguage to its locale; words
+ * without any matching gloss keep their legacy translation
+ * @param {Array<Object>} words - Lean word objects (modified in place)
+ * @param {Array<string>} languages - Locale fallback chain (see languageMiddleware)
+ * @returns {Array<Object>} The same words
+ */
+wordSchema.statics.localize = function (words, languages) {
+  for (const word of words) {
+    const translations = word.translations || {};
+    const language = languages.find((code) => translations[code]);
+
+    if (language) {
+      word.translation = translations[language];
+      word.translationLanguage = language;
+    }
+  }
+  return words;
+};
+
+/**
+ * Static method to count words per type and per frequency band
+ * @returns {Promise<Object>} { total, types, frequencyBands }
+ */
+wordSchema.statics.getFacets = async function () {
+  const [facets] = await this.aggregate([
+    {
+      $facet: {
+        types: [
+          { $group: { _id: '$type', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+        ],
+        frequencyBands: [
+          {
+            $bucket: {
+              groupBy: '$frequency',
+              // $bucket wants ascending lower bounds
+              boundaries: [...FREQUENCY_BANDS.map((band) => band.min).reverse(), Infinity],
+              default: 'other',
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+        total: [{ $count: 'count' }],
+      },
+    },
+  ]);
+
+  const bandCounts = new Map(facets.frequencyBands.map((bucket) => [bucket._id, bucket.count]));
+
+  return {
+    total: facets.total.length > 0 ? facets.total[0].count : 0,
+    types: facets.types.map(({ _id, count }) => ({ type: _id, count })),
+    frequencyBands: FREQUENCY_BANDS.map((band) => ({ ...band, count: bandCounts.get(band.min) || 0 })),
+  };
+};
+
+/**
+ * Static method to build aggregation stages that drop words a user has learned
+ * Uses an indexed anti-join against the user_words collection
+ * @param {ObjectId} userId - ID of the user
+ * @returns {Array<Object>} Aggregation stages
+ */
+wordSchema.statics.notLearnedByStages = function (userId) {
+  return [
+    {
+      $lookup: {
+        from: mongoose.model('UserWord').collection.name,
+        localField: 'id',
+        foreignField: 'wordId',
+        pipeline: [{ $match: { user: userId } }, { $project: { _id: 1 } }],
+        as: 'learnedEntry',
+      },
+    },
+    { $match: { learnedEntry: { $size: 0 } } },
+    { $project: { learnedEntry: 0 } },
+  ];
+};
+
+/**
+ * Static method to get the words derived from a root, most frequent first
+ * @param {string} root - Normalized root (see utils/arabic normalizeRoot)
+ * @param {Object} options - Lookup options
+ * @param {number} options.excludeId - Word ID to leave out (the word being viewed)
+ * @param {number} options.limit - Maximum number of words (0 for all)
+ * @returns {Promise<Array>} Words
+ */
+wordSchema.statics.findByRoot = function (root, { excludeId = null, limit = 0 } = {}) {
+  const filter = { root };
+  if (excludeId !== null) {
+    filter.id = { $ne: excludeId };
+  }
+
+  return this.find(filter)
+    .select('id arabic transliteration translation english bangla translations frequency type root lemma pattern verbForm')
+    .sort({ frequency: -1, id: 1 })
+    .limit(limit)
+    .lean();
+};
+
+/**
+ * Static method to (re)compute the normalized shadow fields of stored words
+ * Needed for words stored before the fields existed or after the
+ * normalization rules change
+ * @returns {Promise<number>} Number of words updated
+ */
+wordSchema.statics.backfillSearchFields = async function () {
+  const words = await this.find()
+    .select('arabic transliteration translation english bangla translations arabicNormalized transliterationFolded searchTokens')
+    .lean();
+
+  const operations = words
+    .map((word) => ({ word, fields: computeSearchFields(word) }))
+    .filter(({ word, fields }) =>
+      word.arabicNormalized !== fields.arabicNormalized ||
+      word.transliterationFolded !== fields.transliterationFolded ||
+      (word.searchTokens || []).join(' ') !== fields.searchTokens.join(' ')
+    )
+    .map(({ word, fields }) => ({
+      updateOne: {
+        filter: { _id: word._id },
+        update: { $set: fields },
+      },
+    }));
+
+  if (operations.length > 0) {
+    await this.bulkWrite(operations, { ordered: false });
+  }
+  return operations.length;
+};
+
+/**
+ * Static method to find the words whose example verses need computing
+ * Words without examples, with computed examples older than maxAge or
+ * searched for a spelling the word no longer has; editor choices are skipped
+ * @param {Object} options - Selection options
+ * @param {boolean} options.all - Include every word not chosen by an editor
+ * @param {number} options.maxAgeDays - Age after which computed examples are refreshed
+ * @param {Array<number>} options.ids - Only consider these word IDs
+ * @returns {Query} Words, most frequent first
+ */
+wordSchema.statics.findExamplesDue = function ({ all = false, maxAgeDays = 30, ids = null } = {}) {
+  const notPinned = { 'examples.source': { $ne: 'editor' } };
+  const filter = all
+    ? notPinned
+    : {
+      $or: [
+        { examples: null },
+        {
+          ...notPinned,
+          $or: [
+            { 'examples.computedAt': { $lt: new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000) } },
+            { $expr: { $ne: ['$examples.form', '$arabicNormalized'] } },
+          ],
+        },
+      ],
+    };
+
+  if (ids) {
+    filter.id = { $in: ids };
+  }
+
+  return this.find(filter)
+    .select('id arabic arabicNormalized frequency examples')
+    .sort({ frequency: -1, id: 1 });
+};
+
+wordSchema.statics.FREQUENCY_BANDS = FREQUENCY_BANDS;
+wordSchema.statics.EXAMPLE_SOURCES = EXAMPLE_SOURCES;
+
 module.exports = mongoose.model('Word', wordSchema);
@@ -0,0 +1,131 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Word = require('./models/Word');
+const quranService = require('./services/quranService');
+const wordExampleService = require('./services/wordExampleService');
+
+/**
+ * Precompute Example Verses
+ * Stores a ranked set of example verse keys on each word (see
+ * services/wordExampleService), so word cards need no live search. By default
+ * only words that need it are processed: words without examples, with
+ * examples older than --max-age days, or respelled since their examples were
+ * computed. Examples chosen by an editor are never recomputed.
+ *
+ * Words are processed one at a time with a pause in between, since each one
+ * costs a search and up to 20 verse requests. The run stops when the Quran
+ * API circuit opens; words not processed are picked up by the next run.
+ *
+ * Usage:
+ *   node precompute-examples.js [--all] [--word <id>] [--max-age <days>] [--limit <n>] [--delay <ms>] [--dry-run]
+ *
+ *   --all       Recompute every word whose examples were not chosen by an editor
+ *   --word      Only this word (repeatable)
+ *   --max-age   Days after which computed examples are refreshed (default: 30)
+ *   --limit     Process at most this many words, most frequent first (0 for no limit)
+ *   --delay     Milliseconds to wait between words (default: 500)
+ *   --dry-run   Print the examples without storing them
+ */
+
+const args = process.argv.slice(2);
+const argValue = (name) => {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : null;
+};
+
+const all = args.includes('--all');
+const dryRun = args.includes('--dry-run');
+const wordIds = args
+  .map((arg, index) => (arg === '--word' ? parseInt(args[index + 1]) : null))
+  .filter((id) => Number.isInteger(id));
+const maxAgeDays = argValue('--max-age') !== null ? Number(argValue('--max-age')) : 30;
+const limit = argValue('--limit') !== null ? parseInt(argValue('--limit')) : 0;
+const delayMs = argValue('--delay') !== null ? parseInt(argValue('--delay')) : 500;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Check whether the provider's circuit breaker is failing requests fast
+ * @returns {boolean} True while the circuit is open (always false for the local provider)
+ */
+const isCircuitOpen = () => {
+  const { circuit } = quranService.getStatus();
+  return Boolean(circuit) && circuit.state === 'open';
+};
+
+/**
+ * Connect to MongoDB
+ */
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+  } catch (error) {
+    console.error('❌ MongoDB connection error:', error);
+    process.exit(1);
+  }
+};
+
+/**
+ * Run the precompute job
+ */
+const precomputeExamples = async () => {
+  try {
+    if (!Number.isFinite(maxAgeDays) || maxAgeDays < 0 || isNaN(limit) || limit < 0 || isNaN(delayMs) || delayMs < 0) {
+      console.error('❌ --max-age, --limit and --delay must be non-negative numbers');
+      process.exit(1);
+    }
+
+    console.log(`📚 Precomputing example verses${dryRun ? ' (dry run)' : ''}...\n`);
+    await connectDB();
+
+    const words = await Word.findExamplesDue({ all, maxAgeDays, ids: wordIds.length ? wordIds : null })
+      .limit(limit)
+      .lean();
+    console.log(`📝 ${words.length} words need examples\n`);
+
+    let stored = 0;
+    let skipped = 0;
+    const failed = [];
+    let stopped = false;
+    for (const [index, word] of words.entries()) {
+      if (index > 0 && delayMs > 0) {
+        await sleep(delayMs);
+      }
+      if (isCircuitOpen()) {
+        stopped = true;
+        console.error(`\n🛑 Quran API unavailable, stopping with ${words.length - index} words left`);
+        break;
+      }
+
+      try {
+        const examples = await wordExampleService.refresh(word, { dryRun });
+        if (!examples) {
+          skipped++;
+          continue;
+        }
+        stored++;
+        console.log(`  ${word.id} ${word.arabic}: ${examples.verseKeys.join(', ') || '(no verses found)'}`);
+      } catch (error) {
+        failed.push(word.id);
+        console.error(`  ❌ ${word.id} ${word.arabic}: ${error.message}`);
+      }
+    }
+
+    const action = dryRun ? 'computed' : 'stored';
+    console.log(`\n✅ ${stored} words ${action}, ${skipped} chosen by an editor meanwhile, ${failed.length} failed`);
+    if (failed.length > 0 || stopped) {
+      console.log(`🔁 Failed and remaining words are retried on the next run${failed.length ? `: ${failed.join(', ')}` : ''}`);
+    }
+    console.log();
+
+    await mongoose.connection.close();
+    process.exit(failed.length > 0 || stopped ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Error precomputing examples:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+precomputeExamples();
@@ -0,0 +1,67 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('./models/User');
+require('./models/UserWord');
+require('./models/Word');
+
+/**
+ * Reconcile Progress
+ * Recomputes every user's totalFrequencyKnown from their learned words.
+ *
+ * Usage:
+ *   node reconcile-progress.js [--dry-run] [--uid <firebaseUid>]
+ */
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const uidIndex = args.indexOf('--uid');
+const firebaseUid = uidIndex !== -1 ? args[uidIndex + 1] : null;
+
+/**
+ * Connect to MongoDB
+ */
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+  } catch (error) {
+    console.error('❌ MongoDB connection error:', error);
+    process.exit(1);
+  }
+};
+
+/**
+ * Run the reconciliation
+ */
+const reconcileProgress = async () => {
+  try {
+    console.log(`🧮 Reconciling totalFrequencyKnown${dryRun ? ' (dry run)' : ''}...\n`);
+    await connectDB();
+
+    const query = firebaseUid ? { firebaseUid } : {};
+    const cursor = User.find(query).select('_id email').lean().cursor();
+
+    let checked = 0;
+    let drifted = 0;
+    for await (const user of cursor) {
+      const report = await User.reconcileTotalFrequency(user._id, { dryRun });
+      checked++;
+
+      if (report && report.drift !== 0) {
+        drifted++;
+        console.log(`  ${user.email}: ${report.previous} → ${report.total} (drift ${report.drift})`);
+      }
+    }
+
+    const action = dryRun ? 'need fixing' : 'fixed';
+    console.log(`\n✅ Checked ${checked} users, ${drifted} ${action}\n`);
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error reconciling progress:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+reconcileProgress();
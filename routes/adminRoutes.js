@@ -0,0 +1,522 @@
+const express = require('express');
+const router = express.Router();
+const Word = require('../models/Word');
+const Story = require('../models/Story');
+const AuditLog = require('../models/AuditLog');
+const Revision = require('../models/Revision');
+const contentService = require('../services/contentService');
+const wordExampleService = require('../services/wordExampleService');
+const cacheService = require('../services/cacheService');
+const { authMiddleware, requireRole } = require('../middleware/authMiddleware');
+const { parseVerseReference } = require('../utils/verseReference');
+
+// Most audit log entries returned at once
+const MAX_AUDIT_PAGE_SIZE = 100;
+
+const MODELS = { word: Word, story: Story };
+
+const LABELS = { word: 'Word', story: 'Story' };
+
+// Every admin route needs a signed-in admin or editor
+router.use(authMiddleware, requireRole('admin', 'editor'));
+
+/**
+ * Parse a positive integer ID
+ * @param {*} value - Raw ID from the path or body
+ * @returns {number|null} ID, or null if invalid
+ */
+const parseId = (value) => {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+/**
+ * Describe the signed-in editor for the audit log and revisions
+ * @param {Object} req - Express request (after requireRole)
+ * @returns {Object} { user, uid, email, displayName, role }
+ */
+const getActor = (req) => ({
+  user: req.user._id,
+  uid: req.user.firebaseUid,
+  email: req.user.email,
+  displayName: req.user.displayName,
+  role: req.role,
+});
+
+/**
+ * Reject bodies with fields the entity does not accept
+ * @param {string} entity - word or story
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {boolean} True if a response was sent
+ */
+const rejectInvalidBody = (entity, req, res) => {
+  if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+    res.status(400).json({
+      success: false,
+      message: 'Request body must be an object',
+    });
+    return true;
+  }
+
+  const unknown = contentService.unknownFields(entity, req.body);
+  if (unknown.length > 0) {
+    res.status(400).json({
+      success: false,
+      message: `Unknown fields: ${unknown.join(', ')}`,
+    });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Build a create handler
+ * @param {string} entity - word or story
+ * @returns {Function} Express handler
+ */
+const createHandler = (entity) => async (req, res, next) => {
+  try {
+    if (rejectInvalidBody(entity, req, res)) return;
+
+    if (req.body.id !== undefined && parseId(req.body.id) === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'id must be a positive integer',
+      });
+    }
+
+    const doc = await contentService.create(
+      entity,
+      { ...req.body, id: parseId(req.body.id) ?? undefined },
+      getActor(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `${LABELS[entity]} created`,
+      data: doc,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Build an update handler
+ * @param {string} entity - word or story
+ * @returns {Function} Express handler
+ */
+const updateHandler = (entity) => async (req, res, next) => {
+  try {
+    const id = parseId(req.params.id);
+    if (id === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'id must be a positive integer',
+      });
+    }
+
+    if (rejectInvalidBody(entity, req, res)) return;
+
+    if (req.body.id !== undefined && parseId(req.body.id) !== id) {
+      return res.status(400).json({
+        success: false,
+        message: 'id cannot be changed',
+      });
+    }
+
+    const doc = await MODELS[entity].findOne({ id });
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        message: `${LABELS[entity]} not found`,
+      });
+    }
+
+    const { changes } = await contentService.update(entity, doc, req.body, getActor(req));
+    const changed = Object.keys(changes);
+
+    res.json({
+      success: true,
+      message: changed.length > 0 ? `${LABELS[entity]} updated` : 'No changes',
+      data: doc,
+      changedFields: changed,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Build a delete handler
+ * @param {string} entity - word or story
+ * @returns {Function} Express handler
+ */
+const deleteHandler = (entity) => async (req, res, next) => {
+  try {
+    const id = parseId(req.params.id);
+    if (id === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'id must be a positive integer',
+      });
+    }
+
+    const doc = await MODELS[entity].findOne({ id });
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        message: `${LABELS[entity]} not found`,
+      });
+    }
+
+    const { affectedUsers } = await contentService.remove(entity, doc, getActor(req));
+
+    res.json({
+      success: true,
+      message: `${LABELS[entity]} deleted`,
+      data: {
+        id,
+        ...(entity === 'word' && { affectedUsers }),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Build a rollback handler
+ * @param {string} entity - word or story
+ * @returns {Function} Express handler
+ */
+const rollbackHandler = (entity) => async (req, res, next) => {
+  try {
+    const id = parseId(req.params.id);
+    const version = parseId(req.body && req.body.version);
+    if (id === null || version === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'id and version must be positive integers',
+      });
+    }
+
+    const revision = await Revision.findOne({ entity, entityId: id, version }).lean();
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: `Revision ${version} of ${entity} ${id} not found`,
+      });
+    }
+
+    if (!revision.data) {
+      return res.status(400).json({
+        success: false,
+        message: `Revision ${version} is a deletion; roll back to an earlier version`,
+      });
+    }
+
+    const { doc, changes, restored } = await contentService.rollback(entity, revision, getActor(req));
+    const changed = Object.keys(changes);
+
+    let message = 'Already at this version';
+    if (restored) {
+      message = `${LABELS[entity]} restored to version ${version}`;
+    } else if (changed.length > 0) {
+      message = `${LABELS[entity]} rolled back to version ${version}`;
+    }
+
+    res.status(restored ? 201 : 200).json({
+      success: true,
+      message,
+      data: doc,
+      changedFields: changed,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/admin/words
+ * @desc    Create a word (id defaults to the next free ID)
+ * @access  Admin, Editor
+ */
+router.post('/words', createHandler('word'));
+
+/**
+ * @route   PATCH /api/admin/words/:id
+ * @desc    Update a word; translations are merged per locale
+ * @access  Admin, Editor
+ */
+router.patch('/words/:id', updateHandler('word'));
+
+/**
+ * @route   DELETE /api/admin/words/:id
+ * @desc    Delete a word and remove it from users' progress
+ * @access  Admin
+ */
+router.delete('/words/:id', requireRole('admin'), deleteHandler('word'));
+
+/**
+ * @route   POST /api/admin/words/:id/rollback
+ * @desc    Restore a word to a version from its history ({ version }); recreates deleted words
+ * @access  Admin, Editor
+ */
+router.post('/words/:id/rollback', rollbackHandler('word'));
+
+/**
+ * @route   PUT /api/admin/words/:id/examples
+ * @desc    Choose the example verses of a word ({ verseKeys }, in display order);
+ *          the precompute job no longer recomputes them
+ * @access  Admin, Editor
+ */
+router.put('/words/:id/examples', async (req, res, next) => {
+  try {
+    const id = parseId(req.params.id);
+    if (id === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'id must be a positive integer',
+      });
+    }
+
+    const { verseKeys } = req.body || {};
+    const { maxChosenExamples } = wordExampleService;
+
+    if (!Array.isArray(verseKeys) || verseKeys.length === 0 || verseKeys.length > maxChosenExamples) {
+      return res.status(400).json({
+        success: false,
+        message: `verseKeys must be a list of 1 to ${maxChosenExamples} verse keys`,
+      });
+    }
+
+    // Single verses only, checked against the chapter lengths
+    const invalid = verseKeys.filter((key) => typeof key !== 'string' || key.includes('-') || parseVerseReference(key).error);
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid verse keys: ${invalid.join(', ')}`,
+      });
+    }
+
+    const keys = [...new Set(verseKeys.map((key) => {
+      const { chapter, from } = parseVerseReference(key);
+      return `${chapter}:${from}`;
+    }))];
+
+    const word = await Word.findOne({ id });
+    if (!word) {
+      return res.status(404).json({
+        success: false,
+        message: 'Word not found',
+      });
+    }
+
+    const examples = await wordExampleService.choose(word, keys, getActor(req));
+
+    res.json({
+      success: true,
+      message: 'Example verses chosen',
+      data: examples,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/words/:id/examples
+ * @desc    Drop the chosen example verses of a word; the precompute job computes new ones
+ * @access  Admin, Editor
+ */
+router.delete('/words/:id/examples', async (req, res, next) => {
+  try {
+    const id = parseId(req.params.id);
+    if (id === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'id must be a positive integer',
+      });
+    }
+
+    const word = await Word.findOne({ id });
+    if (!word) {
+      return res.status(404).json({
+        success: false,
+        message: 'Word not found',
+      });
+    }
+
+    if (!(await wordExampleService.release(word, getActor(req)))) {
+      return res.status(404).json({
+        success: false,
+        message: 'This word has no chosen example verses',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Chosen example verses dropped; run "npm run precompute:examples" to compute new ones',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/admin/stories
+ * @desc    Create a story (id defaults to the next free ID)
+ * @access  Admin, Editor
+ */
+router.post('/stories', createHandler('story'));
+
+/**
+ * @route   PATCH /api/admin/stories/:id
+ * @desc    Update a story
+ * @access  Admin, Editor
+ */
+router.patch('/stories/:id', updateHandler('story'));
+
+/**
+ * @route   DELETE /api/admin/stories/:id
+ * @desc    Delete a story
+ * @access  Admin
+ */
+router.delete('/stories/:id', requireRole('admin'), deleteHandler('story'));
+
+/**
+ * @route   POST /api/admin/stories/:id/rollback
+ * @desc    Restore a story to a version from its history ({ version }); recreates deleted stories
+ * @access  Admin, Editor
+ */
+router.post('/stories/:id/rollback', rollbackHandler('story'));
+
+/**
+ * @route   GET /api/admin/audit
+ * @desc    List content changes, newest first; filter by entity, entityId and editor uid
+ * @access  Admin
+ */
+router.get('/audit', requireRole('admin'), async (req, res, next) => {
+  try {
+    const { entity, entityId, uid, page: pageParam = 1, limit: limitParam = 50 } = req.query;
+
+    const page = parseInt(pageParam);
+    if (isNaN(page) || page < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Page must be a number greater than 0',
+      });
+    }
+
+    const limit = parseInt(limitParam);
+    if (isNaN(limit) || limit < 1 || limit > MAX_AUDIT_PAGE_SIZE) {
+      return res.status(400).json({
+        success: false,
+        message: `Limit must be a number between 1 and ${MAX_AUDIT_PAGE_SIZE}`,
+      });
+    }
+
+    const query = {};
+    if (entity !== undefined) {
+      if (!AuditLog.AUDIT_ENTITIES.includes(entity)) {
+        return res.status(400).json({
+          success: false,
+          message: `entity must be one of: ${AuditLog.AUDIT_ENTITIES.join(', ')}`,
+        });
+      }
+      query.entity = entity;
+    }
+    if (entityId !== undefined) {
+      query.entityId = parseId(entityId);
+      if (query.entityId === null) {
+        return res.status(400).json({
+          success: false,
+          message: 'entityId must be a positive integer',
+        });
+      }
+    }
+    if (uid) {
+      query['actor.uid'] = uid;
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-__v')
+        .lean(),
+      AuditLog.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalEntries: total,
+          entriesPerPage: limit,
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/admin/cache
+ * @desc    Show the upstream response cache: backend, TTLs, hit counters, entries
+ *          per namespace and the latest entries (filter with ?prefix=verse:, at most
+ *          200 with ?limit=)
+ * @access  Admin
+ */
+router.get('/cache', requireRole('admin'), async (req, res, next) => {
+  try {
+    const { prefix = '', limit: limitParam = 50 } = req.query;
+    const { maxListedEntries } = cacheService;
+
+    const limit = parseInt(limitParam);
+    if (isNaN(limit) || limit < 1 || limit > maxListedEntries) {
+      return res.status(400).json({
+        success: false,
+        message: `Limit must be a number between 1 and ${maxListedEntries}`,
+      });
+    }
+
+    const cache = await cacheService.describe({ prefix, limit });
+
+    res.json({
+      success: true,
+      data: cache,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/cache
+ * @desc    Purge cached upstream responses, all or those whose key starts with ?prefix=
+ * @access  Admin
+ */
+router.delete('/cache', requireRole('admin'), async (req, res, next) => {
+  try {
+    const prefix = req.query.prefix || '';
+    const purged = await cacheService.purge(prefix);
+
+    res.json({
+      success: true,
+      message: `Purged ${purged} cache entries`,
+      data: { prefix, purged },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
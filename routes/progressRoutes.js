@@ -1,7 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const Word = require('../models/Word');
+const Review = require('../models/Review');
+const ProgressEvent = require('../models/ProgressEvent');
+const UserWord = require('../models/UserWord');
+const syncService = require('../services/syncService');
+const coverageService = require('../services/coverageService');
 const { authMiddleware } = require('../middleware/authMiddleware');
+const { SUPPORTED_LANGUAGES } = require('../config/languages');
+const { isValidTimeZone, isValidDay, toLocalDay, addDays, daysBetween } = require('../utils/timezone');
+
+// Longest range the study calendar can return at once
+const MAX_CALENDAR_DAYS = 366;
+
+// Most offline operations accepted in one sync request
+const MAX_SYNC_OPERATIONS = 500;
 
 /**
  * @route   POST /api/progress
@@ -29,8 +42,10 @@ router.post('/', authMiddleware, async (req, res, next) => {
       });
     }
 
-    // Check if already learned
-    if (req.user.hasLearnedWord(word.id)) {
+    // Add word to learned list; nothing is added if it was already learned
+    const { addedIds, totalFrequencyKnown } = await req.user.learnWords([word]);
+
+    if (addedIds.length === 0) {
       return res.status(400).json({
         success: false,
         message: 'Word already marked as learned',
@@ -41,8 +56,8 @@ router.post('/', authMiddleware, async (req, res, next) => {
       });
     }
 
-    // Add word to learned list
-    await req.user.addLearnedWord(word.id, word.frequency);
+    await Review.scheduleForWords(req.user._id, [word.id]);
+    await ProgressEvent.record(req.user._id, 'learn', { wordIds: [word.id] });
 
     res.json({
       success: true,
@@ -52,8 +67,8 @@ router.post('/', authMiddleware, async (req, res, next) => {
         word: word.arabic,
         translation: word.translation,
         frequency: word.frequency,
-        totalWordsLearned: req.user.learnedWords.length,
-        totalFrequencyKnown: req.user.totalFrequencyKnown,
+        totalWordsLearned: await req.user.countLearnedWords(),
+        totalFrequencyKnown,
       },
     });
   } catch (error) {
@@ -80,27 +95,26 @@ router.delete('/:wordId', authMiddleware, async (req, res, next) => {
       });
     }
 
-    // Check if word is in learned list
-    if (!req.user.hasLearnedWord(wordId)) {
+    // Remove word from learned list; nothing is removed if it was not learned
+    const { removedIds, totalFrequencyKnown } = await req.user.unlearnWords([word]);
+
+    if (removedIds.length === 0) {
       return res.status(400).json({
         success: false,
         message: 'Word is not in learned list',
       });
     }
 
-    // Remove word from learned list
-    req.user.learnedWords = req.user.learnedWords.filter((id) => id !== wordId);
-    req.user.totalFrequencyKnown -= word.frequency;
-    req.user.lastActive = new Date();
-    await req.user.save();
+    await Review.removeForWords(req.user._id, [wordId]);
+    await ProgressEvent.record(req.user._id, 'unlearn', { wordIds: [wordId] });
 
     res.json({
       success: true,
       message: 'Word removed from learned list',
       data: {
         wordId: word.id,
-        totalWordsLearned: req.user.learnedWords.length,
-        totalFrequencyKnown: req.user.totalFrequencyKnown,
+        totalWordsLearned: await req.user.countLearnedWords(),
+        totalFrequencyKnown,
       },
     });
   } catch (error) {
@@ -115,7 +129,7 @@ router.delete('/:wordId', authMiddleware, async (req, res, next) => {
  */
 router.get('/stats', authMiddleware, async (req, res, next) => {
   try {
-    const stats = req.user.getStats();
+    const stats = await req.user.getStats();
 
     // Calculate additional statistics
     const totalWords = await Word.countDocuments();
@@ -129,7 +143,12 @@ router.get('/stats', authMiddleware, async (req, res, next) => {
       : 0;
 
     // Get most recent learned words
-    const recentLearnedIds = req.user.learnedWords.slice(-5).reverse();
+    const recentEntries = await UserWord.find({ user: req.user._id })
+      .sort({ learnedAt: -1, _id: -1 })
+      .limit(5)
+      .select('wordId')
+      .lean();
+    const recentLearnedIds = recentEntries.map((entry) => entry.wordId);
     const recentWords = await Word.find({ id: { $in: recentLearnedIds } })
       .select('id arabic translation transliteration frequency')
       .lean();
@@ -145,7 +164,7 @@ router.get('/stats', authMiddleware, async (req, res, next) => {
         ...stats,
         totalAvailableWords: totalWords,
         quranCoveragePercentage: parseFloat(coveragePercentage),
-        progressPercentage: ((req.user.learnedWords.length / totalWords) * 100).toFixed(2),
+        progressPercentage: ((stats.totalWordsLearned / totalWords) * 100).toFixed(2),
         recentlyLearned: sortedRecentWords,
       },
     });
@@ -154,24 +173,113 @@ router.get('/stats', authMiddleware, async (req, res, next) => {
   }
 });
 
+/**
+ * @route   GET /api/progress/coverage/surahs
+ * @desc    Get the share of word tokens in each surah the user understands
+ * @access  Private
+ */
+router.get('/coverage/surahs', authMiddleware, async (req, res, next) => {
+  try {
+    const surahs = await coverageService.getSurahCoverage(req.user._id);
+
+    if (surahs.length === 0) {
+      return res.status(503).json({
+        success: false,
+        message: 'Quran text has not been imported. Run "npm run import:quran" first.',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        surahs,
+        count: surahs.length,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/progress/coverage/surahs/:n
+ * @desc    Get coverage for one surah and the unknown words that would raise it most
+ * @access  Private
+ */
+router.get('/coverage/surahs/:n', authMiddleware, async (req, res, next) => {
+  try {
+    const chapter = parseInt(req.params.n);
+    const { limit = 10 } = req.query;
+
+    if (isNaN(chapter) || chapter < 1 || chapter > 114) {
+      return res.status(400).json({
+        success: false,
+        message: 'Surah number must be between 1 and 114',
+      });
+    }
+
+    const requestedLimit = parseInt(limit);
+    if (isNaN(requestedLimit) || requestedLimit < 1 || requestedLimit > 50) {
+      return res.status(400).json({
+        success: false,
+        message: 'Limit must be a number between 1 and 50',
+      });
+    }
+
+    const coverage = await coverageService.getSurahDetails(req.user._id, chapter, requestedLimit);
+
+    if (!coverage) {
+      // Only an empty index means the text was never imported
+      const totals = await coverageService.getChapterTotals();
+      if (totals.size === 0) {
+        return res.status(503).json({
+          success: false,
+          message: 'Quran text has not been imported. Run "npm run import:quran" first.',
+        });
+      }
+
+      return res.status(404).json({
+        success: false,
+        message: 'Surah has not been imported',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: coverage,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @route   GET /api/progress/learned
- * @desc    Get all learned words for the user
+ * @desc    Get all learned words for the user, sorted across the full set
  * @access  Private
  */
 router.get('/learned', authMiddleware, async (req, res, next) => {
   try {
-    const { page = 1, limit = 50 } = req.query;
+    const { page = 1, limit = 50, sortBy = 'learnedAt', order = 'desc' } = req.query;
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    const learnedWordIds = req.user.learnedWords;
+    if (!UserWord.LEARNED_SORTS.includes(sortBy)) {
+      return res.status(400).json({
+        success: false,
+        message: `sortBy must be one of: ${UserWord.LEARNED_SORTS.join(', ')}`,
+      });
+    }
 
-    // Get paginated learned words
-    const paginatedIds = learnedWordIds.slice(skip, skip + parseInt(limit));
+    const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const words = await Word.find({ id: { $in: paginatedIds } })
-      .sort({ frequency: -1 })
-      .lean();
+    const [words, totalLearned] = await Promise.all([
+      UserWord.findLearnedPage(req.user._id, {
+        sortBy,
+        order: order === 'asc' ? 1 : -1,
+        skip,
+        limit: parseInt(limit),
+      }),
+      req.user.countLearnedWords(),
+    ]);
 
     res.json({
       success: true,
@@ -179,8 +287,8 @@ router.get('/learned', authMiddleware, async (req, res, next) => {
         words,
         pagination: {
           currentPage: parseInt(page),
-          totalPages: Math.ceil(learnedWordIds.length / parseInt(limit)),
-          totalLearned: learnedWordIds.length,
+          totalPages: Math.ceil(totalLearned / parseInt(limit)),
+          totalLearned,
           wordsPerPage: parseInt(limit),
         },
       },
@@ -207,7 +315,7 @@ router.post('/batch', authMiddleware, async (req, res, next) => {
     }
 
     // Find all words
-    const words = await Word.find({ id: { $in: wordIds } });
+    const words = await Word.find({ id: { $in: wordIds } }).select('id frequency').lean();
 
     if (words.length === 0) {
       return res.status(404).json({
@@ -216,13 +324,13 @@ router.post('/batch', authMiddleware, async (req, res, next) => {
       });
     }
 
-    // Add each word to learned list
-    let addedCount = 0;
-    for (const word of words) {
-      if (!req.user.hasLearnedWord(word.id)) {
-        await req.user.addLearnedWord(word.id, word.frequency);
-        addedCount++;
-      }
+    // Add all words in one bulk write; already learned words are skipped
+    const { addedIds, totalFrequencyKnown } = await req.user.learnWords(words, 'batch');
+    const addedCount = addedIds.length;
+
+    await Review.scheduleForWords(req.user._id, addedIds);
+    if (addedCount > 0) {
+      await ProgressEvent.record(req.user._id, 'batch', { wordIds: addedIds });
     }
 
     res.json({
@@ -230,8 +338,301 @@ router.post('/batch', authMiddleware, async (req, res, next) => {
       message: `${addedCount} words marked as learned`,
       data: {
         addedCount,
-        totalWordsLearned: req.user.learnedWords.length,
-        totalFrequencyKnown: req.user.totalFrequencyKnown,
+        totalWordsLearned: await req.user.countLearnedWords(),
+        totalFrequencyKnown,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/progress/sync
+ * @desc    Merge an offline log of learn/unlearn operations (last writer wins
+ *          per word) and return the server changes since the client's cursor
+ * @access  Private
+ */
+router.post('/sync', authMiddleware, async (req, res, next) => {
+  try {
+    const { cursor = null, operations = [] } = req.body;
+
+    if (!Array.isArray(operations) || operations.length > MAX_SYNC_OPERATIONS) {
+      return res.status(400).json({
+        success: false,
+        message: `operations must be an array of at most ${MAX_SYNC_OPERATIONS} items`,
+      });
+    }
+
+    const syncCursor = cursor === null ? null : parseInt(cursor);
+    if (syncCursor !== null && (isNaN(syncCursor) || syncCursor < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'cursor must be a non-negative number',
+      });
+    }
+
+    const result = await syncService.sync(req.user, { cursor: syncCursor, operations });
+
+    res.json({
+      success: true,
+      message: `${result.applied.length} operations applied`,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/progress/reviews/due
+ * @desc    Get learned words that are due for spaced-repetition review
+ * @access  Private
+ */
+router.get('/reviews/due', authMiddleware, async (req, res, next) => {
+  try {
+    const { limit = 20 } = req.query;
+
+    const requestedLimit = parseInt(limit);
+    if (isNaN(requestedLimit) || requestedLimit < 1 || requestedLimit > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Limit must be a number between 1 and 100',
+      });
+    }
+
+    const now = new Date();
+
+    // Words learned before reviews existed get their review state here
+    await Review.ensureForUser(req.user);
+
+    const dueQuery = { user: req.user._id, dueAt: { $lte: now } };
+
+    const [reviews, totalDue] = await Promise.all([
+      Review.find(dueQuery)
+        .sort({ dueAt: 1 })
+        .limit(requestedLimit)
+        .lean(),
+      Review.countDocuments(dueQuery),
+    ]);
+
+    const words = await Word.find({ id: { $in: reviews.map((r) => r.wordId) } })
+      .select('id arabic translation english bangla transliteration frequency type')
+      .lean();
+
+    // Keep the due order of the review queue
+    const dueWords = reviews
+      .map((review) => {
+        const word = words.find((w) => w.id === review.wordId);
+        if (!word) return null;
+
+        return {
+          ...word,
+          review: {
+            easeFactor: review.easeFactor,
+            interval: review.interval,
+            repetitions: review.repetitions,
+            lapses: review.lapses,
+            dueAt: review.dueAt,
+            lastReviewedAt: review.lastReviewedAt,
+          },
+        };
+      })
+      .filter(Boolean);
+
+    res.json({
+      success: true,
+      data: {
+        words: dueWords,
+        count: dueWords.length,
+        totalDue,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/progress/reviews/:wordId
+ * @desc    Record a recall grade (0-5) for a learned word and reschedule it
+ * @access  Private
+ */
+router.post('/reviews/:wordId', authMiddleware, async (req, res, next) => {
+  try {
+    const wordId = parseInt(req.params.wordId);
+    const { grade } = req.body;
+
+    if (!Number.isInteger(grade) || grade < 0 || grade > 5) {
+      return res.status(400).json({
+        success: false,
+        message: 'grade must be a whole number between 0 and 5',
+      });
+    }
+
+    if (!(await req.user.hasLearnedWord(wordId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Word is not in learned list',
+      });
+    }
+
+    let review = await Review.findOne({ user: req.user._id, wordId });
+
+    if (!review) {
+      review = new Review({ user: req.user._id, wordId });
+    }
+
+    review.applyGrade(grade);
+    await review.save();
+    await ProgressEvent.record(req.user._id, 'review', { wordIds: [wordId], grade });
+
+    await req.user.touch();
+
+    res.json({
+      success: true,
+      message: 'Review recorded',
+      data: {
+        wordId,
+        grade,
+        easeFactor: review.easeFactor,
+        interval: review.interval,
+        repetitions: review.repetitions,
+        lapses: review.lapses,
+        dueAt: review.dueAt,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/progress/streak
+ * @desc    Get the user's current and longest daily study streaks
+ * @access  Private
+ */
+router.get('/streak', authMiddleware, async (req, res, next) => {
+  try {
+    const timeZone = req.query.tz || req.user.timezone;
+
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid IANA timezone: ${timeZone}`,
+      });
+    }
+
+    const streak = await ProgressEvent.getStreak(req.user._id, timeZone);
+
+    res.json({
+      success: true,
+      data: streak,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/progress/calendar
+ * @desc    Get per-day study activity between two dates (YYYY-MM-DD, inclusive)
+ * @access  Private
+ */
+router.get('/calendar', authMiddleware, async (req, res, next) => {
+  try {
+    const timeZone = req.query.tz || req.user.timezone;
+
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid IANA timezone: ${timeZone}`,
+      });
+    }
+
+    // Default to the last 30 days in the user's timezone
+    const today = toLocalDay(new Date(), timeZone);
+    const { to = today } = req.query;
+
+    // Check to before deriving the default from, which needs a valid day
+    if (!isValidDay(to)) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be dates in YYYY-MM-DD format',
+      });
+    }
+
+    const { from = addDays(to, -29) } = req.query;
+    if (!isValidDay(from)) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be dates in YYYY-MM-DD format',
+      });
+    }
+
+    const rangeDays = daysBetween(from, to) + 1;
+    if (rangeDays < 1 || rangeDays > MAX_CALENDAR_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `from must not be after to, and the range may span at most ${MAX_CALENDAR_DAYS} days`,
+      });
+    }
+
+    const days = await ProgressEvent.getDailyActivity(req.user._id, timeZone, from, to);
+
+    res.json({
+      success: true,
+      data: {
+        from,
+        to,
+        timezone: timeZone,
+        activeDays: days.length,
+        days,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PATCH /api/progress/preferences
+ * @desc    Update the user's learning preferences (timezone, language)
+ * @access  Private
+ */
+router.patch('/preferences', authMiddleware, async (req, res, next) => {
+  try {
+    const { timezone, language } = req.body;
+
+    if (timezone !== undefined) {
+      if (!isValidTimeZone(timezone)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid IANA timezone: ${timezone}`,
+        });
+      }
+      req.user.timezone = timezone;
+    }
+
+    // null clears the preference
+    if (language !== undefined) {
+      if (language !== null && !SUPPORTED_LANGUAGES.includes(language)) {
+        return res.status(400).json({
+          success: false,
+          message: `Language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`,
+        });
+      }
+      req.user.language = language;
+    }
+
+    await req.user.save();
+
+    res.json({
+      success: true,
+      message: 'Preferences updated',
+      data: {
+        timezone: req.user.timezone,
+        language: req.user.language,
       },
     });
   } catch (error) {
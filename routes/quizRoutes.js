@@ -0,0 +1,205 @@
+const express = require('express');
+const router = express.Router();
+const Quiz = require('../models/Quiz');
+const quizService = require('../services/quizService');
+const { authMiddleware } = require('../middleware/authMiddleware');
+
+/**
+ * @route   POST /api/quiz
+ * @desc    Generate a new multiple-choice quiz for the user
+ * @access  Private
+ */
+router.post('/', authMiddleware, async (req, res, next) => {
+  try {
+    const {
+      count = 10,
+      source = 'learned',
+      kinds = Quiz.QUESTION_KINDS,
+      options = 4,
+    } = req.body;
+
+    const questionCount = parseInt(count);
+    if (isNaN(questionCount) || questionCount < 1 || questionCount > 30) {
+      return res.status(400).json({
+        success: false,
+        message: 'count must be a number between 1 and 30',
+      });
+    }
+
+    const optionsCount = parseInt(options);
+    if (isNaN(optionsCount) || optionsCount < 2 || optionsCount > 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'options must be a number between 2 and 6',
+      });
+    }
+
+    if (!['learned', 'unlearned', 'all'].includes(source)) {
+      return res.status(400).json({
+        success: false,
+        message: 'source must be one of: learned, unlearned, all',
+      });
+    }
+
+    // Accept both an array and a comma-separated string
+    const questionKinds = Array.isArray(kinds)
+      ? kinds
+      : typeof kinds === 'string' ? kinds.split(',') : null;
+    const invalidKinds = questionKinds
+      ? questionKinds.filter((kind) => !Quiz.QUESTION_KINDS.includes(kind))
+      : [];
+    if (!questionKinds || questionKinds.length === 0 || invalidKinds.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `kinds must be any of: ${Quiz.QUESTION_KINDS.join(', ')}`,
+      });
+    }
+
+    if (source === 'learned' && (await req.user.countLearnedWords()) === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No learned words to quiz yet',
+      });
+    }
+
+    const questions = await quizService.buildQuestions(req.user, {
+      source,
+      count: questionCount,
+      kinds: questionKinds,
+      optionsCount,
+    });
+
+    if (questions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No words available for this quiz',
+      });
+    }
+
+    const quiz = await Quiz.create({ user: req.user._id, source, questions });
+
+    res.status(201).json({
+      success: true,
+      data: quiz.toClient(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/quiz/history
+ * @desc    Get the user's past quizzes and scores
+ * @access  Private
+ */
+router.get('/history', authMiddleware, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const query = { user: req.user._id };
+
+    const [quizzes, total] = await Promise.all([
+      Quiz.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      Quiz.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        quizzes: quizzes.map((quiz) => ({
+          quizId: quiz._id,
+          source: quiz.source,
+          status: quiz.status,
+          total: quiz.questions.length,
+          score: quiz.status === 'completed' ? quiz.score : null,
+          createdAt: quiz.createdAt,
+          completedAt: quiz.completedAt,
+        })),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalQuizzes: total,
+          quizzesPerPage: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/quiz/:id
+ * @desc    Get a quiz (answers are included once it is completed)
+ * @access  Private
+ */
+router.get('/:id', authMiddleware, async (req, res, next) => {
+  try {
+    const quiz = await Quiz.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: quiz.toClient(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/quiz/:id/answers
+ * @desc    Submit answers for a quiz and get it graded
+ * @access  Private
+ */
+router.post('/:id/answers', authMiddleware, async (req, res, next) => {
+  try {
+    const { answers } = req.body;
+
+    if (!Array.isArray(answers)) {
+      return res.status(400).json({
+        success: false,
+        message: 'answers must be an array of { index, answer }',
+      });
+    }
+
+    const quiz = await Quiz.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found',
+      });
+    }
+
+    // Null when the quiz was graded before or by a concurrent submission
+    const graded = quiz.status === 'pending' ? await quiz.grade(answers) : null;
+
+    if (!graded) {
+      return res.status(409).json({
+        success: false,
+        message: 'Quiz has already been graded',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Scored ${graded.score} out of ${graded.questions.length}`,
+      data: graded.toClient(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,19 +1,82 @@
 const express = require('express');
 const router = express.Router();
 const quranService = require('../services/quranService');
+const verseAnnotationService = require('../services/verseAnnotationService');
+const exampleRankingService = require('../services/exampleRankingService');
 const { optionalAuth } = require('../middleware/authMiddleware');
+const { resolveLanguage } = require('../middleware/languageMiddleware');
+const { DEFAULT_TRANSLATION_IDS, getTranslationIds } = require('../config/languages');
+const { CHAPTER_COUNT, getVerseCount, parseVerseReference } = require('../utils/verseReference');
+
+// Most verses returned by one range or chapter page
+const MAX_VERSES_PER_REQUEST = 50;
+
+/**
+ * Annotate verses with the signed-in user's known words (see verseAnnotationService)
+ * Anonymous requests get the verses unchanged
+ * @param {Object} req - Express request
+ * @param {Array<Object>} verses - Verses with words
+ * @returns {Promise<Array<Object>>} Verses
+ */
+const annotateForUser = async (req, verses) =>
+  req.user ? verseAnnotationService.annotate(verses, req.user._id) : verses;
+
+/**
+ * Validate the translations query parameter and attach req.translationIds
+ * Defaults to the translations of the resolved language chain (e.g. Urdu 97 +
+ * English 131), or to DEFAULT_TRANSLATION_IDS when the client expressed no
+ * language; IDs given by the client must be offered by the provider
+ */
+const validateTranslations = async (req, res, next) => {
+  try {
+    if (req.query.translations === undefined) {
+      req.translationIds = req.languageNegotiated ? getTranslationIds(req.languages) : DEFAULT_TRANSLATION_IDS;
+      return next();
+    }
+
+    // Accept both a single number and comma-separated IDs
+    const ids = [...new Set(req.query.translations.toString().split(',').map((id) => id.trim()).filter(Boolean))];
+    if (!ids.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Translation IDs are required',
+      });
+    }
+
+    const invalid = ids.filter((id) => !/^\d+$/.test(id));
+    if (invalid.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Translation IDs must be numbers: ${invalid.join(', ')}`,
+      });
+    }
+
+    const unknown = await quranService.findUnknownTranslationIds(ids.join(','));
+    if (unknown.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown translation IDs: ${unknown.join(', ')}. See GET /api/quran/resources/translations`,
+      });
+    }
+
+    req.translationIds = ids.join(',');
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
 
 /**
  * @route   GET /api/quran/examples
- * @desc    Get example verses for a specific Arabic word
+ * @desc    Get example verses for a specific Arabic word in search order, or
+ *          with rank=true ranked for the requesting user within the page
  * @access  Public (Proxy to hide client secret)
  */
-router.get('/examples', optionalAuth, async (req, res, next) => {
+router.get('/examples', optionalAuth, resolveLanguage, validateTranslations, async (req, res, next) => {
   try {
-    // Default to Bengali (161) + English (131)
-    const { word, size = 2, translations = '161,131', page = 1 } = req.query;
+    const { word, size = 2, page = 1, rank = 'false' } = req.query;
 
-    if (!word) {
+    if (!word || typeof word !== 'string') {
       return res.status(400).json({
         success: false,
         message: 'Query parameter "word" is required',
@@ -29,31 +92,51 @@ router.get('/examples', optionalAuth, async (req, res, next) => {
       });
     }
 
-    // Validate translations parameter (can be comma-separated IDs)
-    // Accept both single number or comma-separated string
-    const translationIds = translations.toString();
-    if (!translationIds || translationIds.trim() === '') {
+    // Validate page parameter
+    const requestedPage = parseInt(page);
+    if (isNaN(requestedPage) || requestedPage < 1) {
       return res.status(400).json({
         success: false,
-        message: 'Translation IDs are required',
+        message: 'Page must be a number greater than 0',
       });
     }
 
-    // Validate page parameter
-    const requestedPage = parseInt(page);
-    if (isNaN(requestedPage) || requestedPage < 1) {
+    if (!['true', 'false'].includes(rank)) {
       return res.status(400).json({
         success: false,
-        message: 'Page must be a number greater than 0',
+        message: 'Rank must be "true" or "false"',
+      });
+    }
+
+    if (rank === 'true') {
+      // Rank within the requested page; verses that cannot be fetched are skipped
+      const result = await quranService.getVerseCandidates(word, requestedSize, req.translationIds, requestedPage);
+      const candidates = await annotateForUser(req, result.verses);
+      const ranked = exampleRankingService.rank(candidates, word);
+
+      return res.json({
+        success: true,
+        data: { search: { results: ranked } },
+        query: word,
+        pagination: result.pagination,
+        ranking: {
+          personalized: Boolean(req.user),
+          candidates: ranked.length,
+          skipped: result.skipped,
+        },
       });
     }
 
     // Call Quran Service with translation IDs and page
-    const result = await quranService.getVerses(word, requestedSize, translationIds, requestedPage);
+    const result = await quranService.getVerses(word, requestedSize, req.translationIds, requestedPage);
+    const verses = await annotateForUser(req, result.data.search.results);
 
     res.json({
       success: true,
-      data: result.data,
+      data: {
+        ...result.data,
+        search: { ...result.data.search, results: verses },
+      },
       query: result.query,
       pagination: result.pagination,
     });
@@ -65,14 +148,13 @@ router.get('/examples', optionalAuth, async (req, res, next) => {
 
 /**
  * @route   GET /api/quran/verse/:reference
- * @desc    Get detailed information for a specific verse
+ * @desc    Get detailed information for a specific verse ("2:255"), or for a
+ *          range of verses within one chapter ("2:255-257")
  * @access  Public
  */
-router.get('/verse/:reference', optionalAuth, async (req, res, next) => {
+router.get('/verse/:reference', optionalAuth, resolveLanguage, validateTranslations, async (req, res, next) => {
   try {
     const { reference } = req.params;
-    // Default to Bengali (161) + English (131)
-    const { translations = '161,131' } = req.query;
 
     if (!reference) {
       return res.status(400).json({
@@ -81,30 +163,45 @@ router.get('/verse/:reference', optionalAuth, async (req, res, next) => {
       });
     }
 
-    // Validate verse reference format (basic validation)
-    const versePattern = /^\d+:\d+$/;
-    if (!versePattern.test(reference)) {
+    // Validate the format and the chapter and verse bounds
+    const { chapter, from, to, error } = parseVerseReference(reference);
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid verse reference format. Use format "chapter:verse" (e.g., "2:255")',
+        message: error,
       });
     }
 
-    // Validate translations parameter (can be comma-separated IDs)
-    const translationIds = translations.toString();
-    if (!translationIds || translationIds.trim() === '') {
-      return res.status(400).json({
-        success: false,
-        message: 'Translation IDs are required',
+    if (reference.includes('-')) {
+      if (to - from + 1 > MAX_VERSES_PER_REQUEST) {
+        return res.status(400).json({
+          success: false,
+          message: `A range can span at most ${MAX_VERSES_PER_REQUEST} verses`,
+        });
+      }
+
+      const verses = await annotateForUser(
+        req,
+        await quranService.getVerseRange(chapter, from, to, req.translationIds)
+      );
+
+      return res.json({
+        success: true,
+        data: {
+          verses,
+          count: verses.length,
+        },
+        reference: { chapter, from, to },
       });
     }
 
     // Call Quran Service with translation IDs
-    const result = await quranService.getVerseDetails(reference, translationIds);
+    const result = await quranService.getVerseDetails(`${chapter}:${from}`, req.translationIds);
+    const [verse] = await annotateForUser(req, [result.data.verse]);
 
     res.json({
       success: true,
-      data: result.data,
+      data: { ...result.data, verse },
     });
   } catch (error) {
     console.error('❌ Error in /api/quran/verse:', error.message);
@@ -112,6 +209,131 @@ router.get('/verse/:reference', optionalAuth, async (req, res, next) => {
   }
 });
 
+/**
+ * @route   GET /api/quran/chapters
+ * @desc    List the chapters with their names and verse counts
+ * @access  Public
+ */
+router.get('/chapters', async (req, res, next) => {
+  try {
+    const chapters = await quranService.getChapters();
+
+    res.json({
+      success: true,
+      data: {
+        chapters,
+        count: chapters.length,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Error in /api/quran/chapters:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/quran/chapters/:id/verses
+ * @desc    Get the verses of a chapter, a page at a time (page, limit, translations, lang)
+ * @access  Public
+ */
+router.get('/chapters/:id/verses', optionalAuth, resolveLanguage, validateTranslations, async (req, res, next) => {
+  try {
+    const chapter = /^\d+$/.test(req.params.id) ? parseInt(req.params.id) : NaN;
+    const verseCount = getVerseCount(chapter);
+    if (!verseCount) {
+      return res.status(400).json({
+        success: false,
+        message: `Chapter must be a number between 1 and ${CHAPTER_COUNT}`,
+      });
+    }
+
+    const page = req.query.page === undefined ? 1 : parseInt(req.query.page);
+    if (isNaN(page) || page < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Page must be a number greater than 0',
+      });
+    }
+
+    const limit = req.query.limit === undefined ? 10 : parseInt(req.query.limit);
+    if (isNaN(limit) || limit < 1 || limit > MAX_VERSES_PER_REQUEST) {
+      return res.status(400).json({
+        success: false,
+        message: `Limit must be a number between 1 and ${MAX_VERSES_PER_REQUEST}`,
+      });
+    }
+
+    const totalPages = Math.ceil(verseCount / limit);
+    const verses = await annotateForUser(
+      req,
+      await quranService.getChapterVerses(chapter, page, limit, req.translationIds)
+    );
+
+    res.json({
+      success: true,
+      data: {
+        chapter,
+        verses,
+        count: verses.length,
+      },
+      pagination: {
+        current_page: page,
+        next_page: page < totalPages ? page + 1 : null,
+        total_pages: totalPages,
+        total_records: verseCount,
+        per_page: limit,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Error in /api/quran/chapters/:id/verses:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/quran/resources/translations
+ * @desc    List the translations whose IDs the translations parameter accepts
+ * @access  Public
+ */
+router.get('/resources/translations', async (req, res, next) => {
+  try {
+    const translations = await quranService.getTranslations();
+
+    res.json({
+      success: true,
+      data: {
+        translations,
+        count: translations.length,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Error in /api/quran/resources/translations:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/quran/resources/recitations
+ * @desc    List the available recitations (reciters and styles)
+ * @access  Public
+ */
+router.get('/resources/recitations', async (req, res, next) => {
+  try {
+    const recitations = await quranService.getRecitations();
+
+    res.json({
+      success: true,
+      data: {
+        recitations,
+        count: recitations.length,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Error in /api/quran/resources/recitations:', error.message);
+    next(error);
+  }
+});
+
 /**
  * @route   GET /api/quran/health
  * @desc    Check if Quran API service is accessible
@@ -119,17 +341,15 @@ router.get('/verse/:reference', optionalAuth, async (req, res, next) => {
  */
 router.get('/health', async (req, res, next) => {
   try {
-    // Try to get a token to verify API connectivity
-    const token = await quranService.ensureValidToken();
+    // Ask the provider to prove it can serve verses (obtains a token for qf)
+    const details = await quranService.checkHealth();
 
     res.json({
       success: true,
       message: 'Quran API service is accessible',
       data: {
-        environment: quranService.environment,
-        authUrl: quranService.authUrl,
-        apiBaseUrl: quranService.apiBaseUrl,
-        tokenValid: quranService.isTokenValid(),
+        ...details,
+        ...quranService.getStatus(),
       },
     });
   } catch (error) {
@@ -138,6 +358,7 @@ router.get('/health', async (req, res, next) => {
       success: false,
       message: 'Quran API service is not accessible',
       error: error.message,
+      data: quranService.getStatus(),
     });
   }
 });
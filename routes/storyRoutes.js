@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const Story = require('../models/Story');
+const Revision = require('../models/Revision');
 
 /**
  * @route   GET /api/stories
@@ -69,4 +70,62 @@ router.get('/:id', async (req, res, next) => {
   }
 });
 
+/**
+ * @route   GET /api/stories/:id/history
+ * @desc    List the revisions of a story, newest first (also for deleted stories)
+ * @access  Public
+ */
+router.get('/:id/history', async (req, res, next) => {
+  try {
+    const { page: pageParam = 1, limit: limitParam = 20 } = req.query;
+
+    const page = parseInt(pageParam);
+    if (isNaN(page) || page < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Page must be a number greater than 0'
+      });
+    }
+
+    const limit = parseInt(limitParam);
+    if (isNaN(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Limit must be a number between 1 and 100'
+      });
+    }
+
+    const storyId = parseInt(req.params.id);
+
+    const [{ revisions, total }, exists] = await Promise.all([
+      Revision.getHistory('story', storyId, { page, limit }),
+      Story.exists({ id: storyId }),
+    ]);
+
+    if (!exists && total === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        storyId,
+        deleted: !exists,
+        revisions,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalRevisions: total,
+          revisionsPerPage: limit
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
@@ -1,19 +1,39 @@
 const express = require('express');
 const router = express.Router();
 const Word = require('../models/Word');
+const UserWord = require('../models/UserWord');
+const Verse = require('../models/Verse');
+const Revision = require('../models/Revision');
+const searchService = require('../services/searchService');
+const wordExampleService = require('../services/wordExampleService');
+const { normalizeArabic, normalizeRoot, buckwalterToArabic } = require('../utils/arabic');
+const { PARTS_OF_SPEECH, toCanonicalType } = require('../utils/partOfSpeech');
+const { classifyRoot, vowelAfterRadical, guessPresentVowel, conjugate } = require('../utils/conjugation');
 const { authMiddleware, optionalAuth } = require('../middleware/authMiddleware');
+const { resolveLanguage } = require('../middleware/languageMiddleware');
+const { DEFAULT_TRANSLATION_IDS, getTranslationIds } = require('../config/languages');
+
+// Longest search query accepted
+const MAX_QUERY_LENGTH = 100;
+
+// Most search results returned at once
+const MAX_SEARCH_RESULTS = 100;
+
+// Related words shown in the family section of a word
+const FAMILY_SIZE = 20;
 
 /**
  * @route   GET /api/words
  * @desc    Get all words with optional pagination and filtering
  * @access  Public (optional auth for personalized experience)
  */
-router.get('/', optionalAuth, async (req, res, next) => {
+router.get('/', optionalAuth, resolveLanguage, async (req, res, next) => {
   try {
     const {
       page = 1,
       limit = 50,
       type,
+      band,
       minFreq,
       maxFreq,
       sortBy = 'frequency',
@@ -23,11 +43,28 @@ router.get('/', optionalAuth, async (req, res, next) => {
     // Build query
     const query = {};
 
+    // Raw tags such as "Prepositional phrase" resolve to their canonical type
     if (type) {
-      query.type = type;
+      query.type = toCanonicalType(type);
+      if (!query.type) {
+        return res.status(400).json({
+          success: false,
+          message: `Type must be one of: ${PARTS_OF_SPEECH.join(', ')}`,
+        });
+      }
     }
 
-    if (minFreq || maxFreq) {
+    if (band) {
+      const frequencyBand = Word.FREQUENCY_BANDS.find(({ key }) => key === band);
+      if (!frequencyBand) {
+        return res.status(400).json({
+          success: false,
+          message: `Band must be one of: ${Word.FREQUENCY_BANDS.map(({ key }) => key).join(', ')}`,
+        });
+      }
+      query.frequency = { $gte: frequencyBand.min };
+      if (frequencyBand.max !== null) query.frequency.$lte = frequencyBand.max;
+    } else if (minFreq || maxFreq) {
       query.frequency = {};
       if (minFreq) query.frequency.$gte = parseInt(minFreq);
       if (maxFreq) query.frequency.$lte = parseInt(maxFreq);
@@ -49,11 +86,11 @@ router.get('/', optionalAuth, async (req, res, next) => {
       Word.countDocuments(query),
     ]);
 
+    Word.localize(words, req.languages);
+
     // If user is authenticated, mark learned words
     if (req.user) {
-      words.forEach((word) => {
-        word.isLearned = req.user.hasLearnedWord(word.id);
-      });
+      await UserWord.markLearned(req.user._id, words);
     }
 
     res.json({
@@ -73,30 +110,101 @@ router.get('/', optionalAuth, async (req, res, next) => {
   }
 });
 
+/**
+ * @route   GET /api/words/facets
+ * @desc    Count words per type and per frequency band, for building filters
+ * @access  Public
+ */
+router.get('/facets', async (req, res, next) => {
+  try {
+    const facets = await Word.getFacets();
+
+    res.json({
+      success: true,
+      data: facets,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @route   GET /api/words/learn
  * @desc    Get next words to learn (not in user's learned list)
  * @access  Private
  */
-router.get('/learn', authMiddleware, async (req, res, next) => {
+router.get('/learn', authMiddleware, resolveLanguage, async (req, res, next) => {
   try {
     const { limit = 10 } = req.query;
 
     // Find words that are NOT in the user's learned words list
     // Sorted by frequency (most frequent first)
-    const unlearnedWords = await Word.find({
-      id: { $nin: req.user.learnedWords },
-    })
-      .sort({ frequency: -1, id: 1 })
-      .limit(parseInt(limit))
-      .lean();
+    const [unlearnedWords, totalLearned] = await Promise.all([
+      Word.aggregate([
+        { $sort: { frequency: -1, id: 1 } },
+        ...Word.notLearnedByStages(req.user._id),
+        { $limit: parseInt(limit) },
+      ]),
+      req.user.countLearnedWords(),
+    ]);
+
+    Word.localize(unlearnedWords, req.languages);
 
     res.json({
       success: true,
       data: {
         words: unlearnedWords,
         count: unlearnedWords.length,
-        totalLearned: req.user.learnedWords.length,
+        totalLearned,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/words/roots/:root
+ * @desc    Get every word derived from a root, most frequent first
+ *          The root may be Arabic (spaces and diacritics allowed) or Buckwalter
+ * @access  Public (optional auth)
+ */
+router.get('/roots/:root', optionalAuth, resolveLanguage, async (req, res, next) => {
+  try {
+    const input = req.params.root;
+    const root = normalizeRoot(/[A-Za-z]/.test(input) ? buckwalterToArabic(input) : input);
+
+    if (root.length < 2 || root.length > 5) {
+      return res.status(400).json({
+        success: false,
+        message: 'Root must have between 2 and 5 letters',
+      });
+    }
+
+    const words = await Word.findByRoot(root);
+
+    if (words.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No words found for this root',
+      });
+    }
+
+    Word.localize(words, req.languages);
+
+    // Mark learned words if authenticated
+    if (req.user) {
+      await UserWord.markLearned(req.user._id, words);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        root,
+        words,
+        count: words.length,
+        totalFrequency: words.reduce((sum, word) => sum + word.frequency, 0),
+        ...(req.user && { learnedCount: words.filter((word) => word.isLearned).length }),
       },
     });
   } catch (error) {
@@ -106,11 +214,13 @@ router.get('/learn', authMiddleware, async (req, res, next) => {
 
 /**
  * @route   GET /api/words/:id
- * @desc    Get a specific word by ID
+ * @desc    Get a specific word by ID, with the other words sharing its root;
+ *          examples=true embeds its precomputed example verses
  * @access  Public (optional auth)
  */
-router.get('/:id', optionalAuth, async (req, res, next) => {
+router.get('/:id', optionalAuth, resolveLanguage, async (req, res, next) => {
   try {
+    const embedExamples = req.query.examples === 'true';
     const word = await Word.findOne({ id: parseInt(req.params.id) }).lean();
 
     if (!word) {
@@ -120,9 +230,47 @@ router.get('/:id', optionalAuth, async (req, res, next) => {
       });
     }
 
-    // Check if user has learned this word
+    // Words sharing the root, for learning by root
+    const [relatedWords, familySize] = word.root
+      ? await Promise.all([
+        Word.findByRoot(word.root, { excludeId: word.id, limit: FAMILY_SIZE }),
+        Word.countDocuments({ root: word.root }),
+      ])
+      : [[], 0];
+
+    Word.localize([word, ...relatedWords], req.languages);
+
+    // Check if user has learned this word and its relatives
     if (req.user) {
-      word.isLearned = req.user.hasLearnedWord(word.id);
+      await UserWord.markLearned(req.user._id, [word, ...relatedWords]);
+    }
+
+    word.family = word.root
+      ? {
+        root: word.root,
+        lemma: word.lemma,
+        pattern: word.pattern,
+        words: relatedWords,
+        totalWords: familySize - 1,
+      }
+      : null;
+
+    // Stored verse keys only, no live search; a failing provider leaves verses null
+    if (embedExamples) {
+      let verses = null;
+      try {
+        const translationIds = req.languageNegotiated ? getTranslationIds(req.languages) : DEFAULT_TRANSLATION_IDS;
+        verses = await wordExampleService.getVerses(word, translationIds, req.user ? req.user._id : null);
+      } catch (error) {
+        console.warn(`⚠️  Example verses of word ${word.id} unavailable:`, error.message);
+      }
+
+      word.examples = {
+        verseKeys: word.examples ? word.examples.verseKeys : [],
+        source: word.examples ? word.examples.source : null,
+        computedAt: word.examples ? word.examples.computedAt : null,
+        verses,
+      };
     }
 
     res.json({
@@ -134,36 +282,251 @@ router.get('/:id', optionalAuth, async (req, res, next) => {
   }
 });
 
+/**
+ * @route   GET /api/words/:id/occurrences
+ * @desc    List every Quranic verse a word occurs in, with a per-surah histogram
+ *          and a check of the stored frequency against the real count
+ * @access  Public
+ */
+// Numeric IDs only, so /search/occurrences still reaches the search route
+router.get('/:id(\\d+)/occurrences', optionalAuth, resolveLanguage, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const requestedPage = parseInt(page);
+    if (isNaN(requestedPage) || requestedPage < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Page must be a number greater than 0',
+      });
+    }
+
+    const requestedLimit = parseInt(limit);
+    if (isNaN(requestedLimit) || requestedLimit < 1 || requestedLimit > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Limit must be a number between 1 and 100',
+      });
+    }
+
+    const word = await Word.findOne({ id: parseInt(req.params.id) }).lean();
+
+    if (!word) {
+      return res.status(404).json({
+        success: false,
+        message: 'Word not found',
+      });
+    }
+
+    if ((await Verse.estimatedDocumentCount()) === 0) {
+      return res.status(503).json({
+        success: false,
+        message: 'Quran text has not been imported. Run "npm run import:quran" first.',
+      });
+    }
+
+    Word.localize([word], req.languages);
+
+    const form = word.arabicNormalized || normalizeArabic(word.arabic);
+    const [verses, stats] = await Promise.all([
+      Verse.findContaining(form, {
+        skip: (requestedPage - 1) * requestedLimit,
+        limit: requestedLimit,
+      }),
+      Verse.getOccurrenceStats(form),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        word: {
+          id: word.id,
+          arabic: word.arabic,
+          transliteration: word.transliteration,
+          translation: word.translation,
+        },
+        occurrences: verses.map((verse) => ({
+          verseKey: verse.key,
+          chapter: verse.chapter,
+          verse: verse.verse,
+          text: verse.text,
+          positions: verse.tokens
+            .filter((token) => token.normalized === form)
+            .map((token) => token.position),
+        })),
+        distribution: stats.distribution,
+        frequencyCheck: {
+          stored: word.frequency,
+          counted: stats.totalOccurrences,
+          difference: stats.totalOccurrences - word.frequency,
+          matches: stats.totalOccurrences === word.frequency,
+        },
+        pagination: {
+          currentPage: requestedPage,
+          totalPages: Math.ceil(stats.totalVerses / requestedLimit),
+          totalVerses: stats.totalVerses,
+          versesPerPage: requestedLimit,
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/words/:id/conjugation
+ * @desc    Generate the main conjugation paradigm of a verb (past, present,
+ *          imperative, participles and masdar) with transliteration
+ * @access  Public
+ */
+router.get('/:id(\\d+)/conjugation', optionalAuth, resolveLanguage, async (req, res, next) => {
+  try {
+    const word = await Word.findOne({ id: parseInt(req.params.id) }).lean();
+
+    if (!word) {
+      return res.status(404).json({
+        success: false,
+        message: 'Word not found',
+      });
+    }
+
+    Word.localize([word], req.languages);
+
+    if (!word.verbForm || !word.root) {
+      return res.status(422).json({
+        success: false,
+        message: 'Word has no verb form and root. Only verbs can be conjugated; run "npm run import:morphology" to classify them.',
+      });
+    }
+
+    const rootClass = classifyRoot(word.root);
+    if (rootClass !== 'sound') {
+      return res.status(422).json({
+        success: false,
+        message: `Conjugation tables are only generated for sound triliteral roots (this root is ${rootClass})`,
+        data: { root: word.root, rootClass, verbForm: word.verbForm },
+      });
+    }
+
+    // Form I vowels are lexical; guess them from the lemma when not imported
+    let vowels = null;
+    let approximate = false;
+    if (word.verbForm === 'I') {
+      if (word.verbVowels) {
+        const [past, present] = word.verbVowels.split('-');
+        vowels = { past, present };
+      } else {
+        const past = vowelAfterRadical(word.lemma || word.arabic, word.root, 1) || 'a';
+        vowels = { past, present: guessPresentVowel(word.root, past) };
+        approximate = true;
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        word: {
+          id: word.id,
+          arabic: word.arabic,
+          transliteration: word.transliteration,
+          translation: word.translation,
+        },
+        root: word.root,
+        verbForm: word.verbForm,
+        vowels,
+        approximate,
+        ...conjugate(word.root, word.verbForm, vowels || undefined),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/words/:id/history
+ * @desc    List the revisions of a word, newest first, with the fields each one changed
+ *          (also available for deleted words)
+ * @access  Public
+ */
+router.get('/:id(\\d+)/history', async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const requestedPage = parseInt(page);
+    if (isNaN(requestedPage) || requestedPage < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Page must be a number greater than 0',
+      });
+    }
+
+    const requestedLimit = parseInt(limit);
+    if (isNaN(requestedLimit) || requestedLimit < 1 || requestedLimit > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Limit must be a number between 1 and 100',
+      });
+    }
+
+    const wordId = parseInt(req.params.id);
+    const [{ revisions, total }, exists] = await Promise.all([
+      Revision.getHistory('word', wordId, { page: requestedPage, limit: requestedLimit }),
+      Word.exists({ id: wordId }),
+    ]);
+
+    if (!exists && total === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Word not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        wordId,
+        deleted: !exists,
+        revisions,
+        pagination: {
+          currentPage: requestedPage,
+          totalPages: Math.ceil(total / requestedLimit),
+          totalRevisions: total,
+          revisionsPerPage: requestedLimit,
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @route   GET /api/words/search/:query
- * @desc    Search words by Arabic, translation, or transliteration
+ * @desc    Search words by Arabic (diacritics optional), transliteration, or
+ *          English/Bangla translation, best matches first
  * @access  Public
  */
-router.get('/search/:query', optionalAuth, async (req, res, next) => {
+router.get('/search/:query', optionalAuth, resolveLanguage, async (req, res, next) => {
   try {
     const { query } = req.params;
-    const { limit = 20 } = req.query;
-
-    const searchRegex = new RegExp(query, 'i');
-
-    const words = await Word.find({
-      $or: [
-        { arabic: searchRegex },
-        { translation: searchRegex },
-        { english: searchRegex },
-        { bangla: searchRegex },
-        { transliteration: searchRegex },
-      ],
-    })
-      .sort({ frequency: -1 })
-      .limit(parseInt(limit))
-      .lean();
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_SEARCH_RESULTS);
+
+    if (query.length > MAX_QUERY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Search query must be at most ${MAX_QUERY_LENGTH} characters`,
+      });
+    }
+
+    const words = await searchService.search(query, limit);
+
+    Word.localize(words, req.languages);
 
     // Mark learned words if authenticated
     if (req.user) {
-      words.forEach((word) => {
-        word.isLearned = req.user.hasLearnedWord(word.id);
-      });
+      await UserWord.markLearned(req.user._id, words);
     }
 
     res.json({
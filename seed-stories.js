@@ -3,13 +3,25 @@ const fs = require('fs');
 const path = require('path');
 const mongoose = require('mongoose');
 const Story = require('./models/Story');
+const contentService = require('./services/contentService');
+const { prepareRecords, diffCollection, applyDiff, reportDiff } = require('./utils/dataImport');
 
 /**
  * Seed Database with Stories
+ * Syncs the stories collection to data/stories.json by story ID. Records are
+ * validated first; nothing is written if any record is invalid. Every change
+ * is recorded in the story's revision history.
+ *
+ * Usage:
+ *   node seed-stories.js [--dry-run]
+ *
+ *   --dry-run  Report added, changed and removed stories without writing
  */
 
 const STORIES_FILE = path.join(__dirname, 'data', 'stories.json');
 
+const DRY_RUN = process.argv.slice(2).includes('--dry-run');
+
 /**
  * Connect to MongoDB
  */
@@ -53,18 +65,38 @@ const loadStoriesFromFile = () => {
  */
 const seedStories = async () => {
   try {
-    console.log('🌱 Starting stories seeding...\n');
+    console.log(`🌱 Starting stories seeding${DRY_RUN ? ' (dry run)' : ''}...\n`);
     await connectDB();
     const stories = loadStoriesFromFile();
 
-    // Clear existing stories
-    const deleteResult = await Story.deleteMany({});
-    console.log(`🗑️  Deleted ${deleteResult.deletedCount} existing stories\n`);
+    // Validate and coerce every record before touching the database
+    const { documents, errors, ignoredFields } = await prepareRecords(Story, stories);
+    if (ignoredFields.length > 0) {
+      console.log(`⚠️  Ignoring fields not in the schema: ${ignoredFields.join(', ')}`);
+    }
+    if (errors.length > 0) {
+      console.error(`❌ ${errors.length} invalid records, nothing was written:`);
+      errors.slice(0, 50).forEach((error) => console.error(`  ${error}`));
+      await mongoose.connection.close();
+      process.exit(1);
+    }
+
+    const diff = await diffCollection(Story, documents);
+    console.log('📋 Changes:');
+    reportDiff(diff, { describe: (story) => `#${story.id} ${story.title}` });
+
+    if (DRY_RUN) {
+      console.log('✅ Dry run completed, nothing was written\n');
+      await mongoose.connection.close();
+      process.exit(0);
+    }
+
+    console.log('📥 Writing changes...');
+    const { upserted, deleted } = await applyDiff(Story, diff);
+    console.log(`✅ Upserted ${upserted} stories, deleted ${deleted}`);
 
-    // Insert new stories
-    console.log('📥 Inserting new stories...');
-    const insertedStories = await Story.insertMany(stories);
-    console.log(`✅ Inserted ${insertedStories.length} stories\n`);
+    const revisions = await contentService.recordImport('story', diff);
+    console.log(`🗂️  Recorded ${revisions} revisions\n`);
 
     console.log('\n✅ Stories seeding completed!\n');
     await mongoose.connection.close();
@@ -3,14 +3,36 @@ const fs = require('fs');
 const path = require('path');
 const mongoose = require('mongoose');
 const Word = require('./models/Word');
+const UserWord = require('./models/UserWord');
+const contentService = require('./services/contentService');
+const { toCanonicalType } = require('./utils/partOfSpeech');
+const { prepareRecords, diffCollection, applyDiff, reportDiff } = require('./utils/dataImport');
 
 /**
  * Seed Database with Quran Words
- * This script imports words from quran_words.json into MongoDB
+ * Syncs the words collection to data/quran_words.json by word ID. Records are
+ * validated and coerced against the schema first; nothing is written if any
+ * record is invalid. Words are upserted, so fields set by other importers are
+ * kept, and words users have learned are never deleted or re-pointed to a
+ * different Arabic word unless forced. Every change is recorded in the word's
+ * revision history.
+ *
+ * Usage:
+ *   node seed.js [--dry-run] [--force]
+ *
+ *   --dry-run  Report added, changed and removed words without writing
+ *   --force    Also delete or re-point learned words, removing them from users' progress
  */
 
 const WORDS_FILE = path.join(__dirname, 'data', 'quran_words.json');
 
+// Fields the Word model derives from the file fields when validating
+const DERIVED_FIELDS = ['arabicNormalized', 'transliterationFolded', 'searchTokens'];
+
+const args = process.argv.slice(2);
+const DRY_RUN = args.includes('--dry-run');
+const FORCE = args.includes('--force');
+
 /**
  * Connect to MongoDB
  */
@@ -50,29 +72,100 @@ const loadWordsFromFile = () => {
   }
 };
 
+/**
+ * Find learned words the diff would delete or re-point
+ * @param {Object} diff - Diff from diffCollection
+ * @returns {Promise<Object>} { removed, repointed } word IDs
+ */
+const findProtectedWords = async (diff) => {
+  const candidateIds = [
+    ...diff.removed.map((word) => word.id),
+    ...diff.changed.filter(({ changes }) => changes.arabic).map(({ key }) => key),
+  ];
+  const learned = new Set(
+    candidateIds.length > 0 ? await UserWord.distinct('wordId', { wordId: { $in: candidateIds } }) : []
+  );
+
+  return {
+    removed: diff.removed.map((word) => word.id).filter((id) => learned.has(id)),
+    repointed: diff.changed.filter(({ key, changes }) => changes.arabic && learned.has(key)).map(({ key }) => key),
+  };
+};
+
 /**
  * Seed the database
  */
 const seedDatabase = async () => {
   try {
-    console.log('🌱 Starting database seeding...\n');
+    console.log(`🌱 Starting database seeding${DRY_RUN ? ' (dry run)' : ''}...\n`);
     await connectDB();
     const loadedWords = loadWordsFromFile();
-    const words = loadedWords.map(word => ({
+
+    const records = loadedWords.map(word => ({
       ...word,
       translation: word.english, // Map english to translation for backward compatibility
       english: word.english,
-      bangla: word.bangla
+      bangla: word.bangla,
+      // Glosses per locale; further languages can be added under "translations" in the file
+      translations: Object.fromEntries(
+        Object.entries({ en: word.english, bn: word.bangla, ...word.translations }).filter(([, gloss]) => gloss)
+      ),
+      type: toCanonicalType(word.type) || word.type
     }));
 
-    // Clear existing words
-    const deleteResult = await Word.deleteMany({});
-    console.log(`🗑️  Deleted ${deleteResult.deletedCount} existing words\n`);
+    // Validate and coerce every record before touching the database
+    const { documents, errors, ignoredFields } = await prepareRecords(Word, records, {
+      derivedFields: DERIVED_FIELDS,
+    });
+    if (ignoredFields.length > 0) {
+      console.log(`⚠️  Ignoring fields not in the schema: ${ignoredFields.join(', ')}`);
+    }
+    if (errors.length > 0) {
+      console.error(`❌ ${errors.length} invalid records, nothing was written:`);
+      errors.slice(0, 50).forEach((error) => console.error(`  ${error}`));
+      if (errors.some((error) => error.includes('Unknown word type'))) {
+        console.log('📝 Add unknown types to the mapping in utils/partOfSpeech.js');
+      }
+      await mongoose.connection.close();
+      process.exit(1);
+    }
 
-    // Insert new words
-    console.log('📥 Inserting new words...');
-    const insertedWords = await Word.insertMany(words);
-    console.log(`✅ Inserted ${insertedWords.length} words\n`);
+    const diff = await diffCollection(Word, documents, { derivedFields: DERIVED_FIELDS });
+    console.log('📋 Changes:');
+    reportDiff(diff, { describe: (word) => `#${word.id} ${word.arabic}` });
+
+    const protectedWords = await findProtectedWords(diff);
+    const protectedCount = protectedWords.removed.length + protectedWords.repointed.length;
+    if (protectedCount > 0) {
+      const icon = FORCE ? '⚠️ ' : '🛑';
+      console.log(`${icon} Learned words that would be deleted: ${protectedWords.removed.join(', ') || 'none'}`);
+      console.log(`${icon} Learned words whose Arabic would change: ${protectedWords.repointed.join(', ') || 'none'}\n`);
+    }
+
+    if (DRY_RUN) {
+      console.log('✅ Dry run completed, nothing was written\n');
+      await mongoose.connection.close();
+      process.exit(0);
+    }
+
+    if (protectedCount > 0 && !FORCE) {
+      console.error('❌ Refusing to change words users have learned. Fix the data file or re-run with --force.\n');
+      await mongoose.connection.close();
+      process.exit(1);
+    }
+
+    console.log('📥 Writing changes...');
+    const { upserted, deleted } = await applyDiff(Word, diff);
+    console.log(`✅ Upserted ${upserted} words, deleted ${deleted}`);
+
+    const revisions = await contentService.recordImport('word', diff);
+    console.log(`🗂️  Recorded ${revisions} revisions\n`);
+
+    // Progress on a re-pointed word was made on a different Arabic word
+    if (protectedCount > 0) {
+      const users = await contentService.removeFromProgress([...protectedWords.removed, ...protectedWords.repointed]);
+      console.log(`🧹 Removed deleted and re-pointed words from ${users} users' progress\n`);
+    }
 
     // Display top 10 most frequent words
     const topWords = await Word.find().sort({ frequency: -1 }).limit(10);
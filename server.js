@@ -8,12 +8,15 @@ const rateLimit = require('express-rate-limit');
 // Import configurations
 const connectDB = require('./config/db');
 const initializeFirebase = require('./config/firebase');
+const { QURAN_PROVIDER, PROVIDER_ENV_VARS } = require('./config/quran');
 
 // Import routes
 const wordRoutes = require('./routes/wordRoutes');
 const progressRoutes = require('./routes/progressRoutes');
 const quranRoutes = require('./routes/quranRoutes');
 const storyRoutes = require('./routes/storyRoutes');
+const quizRoutes = require('./routes/quizRoutes');
+const adminRoutes = require('./routes/adminRoutes');
 
 // Import middleware
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
@@ -22,11 +25,10 @@ const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 const app = express();
 
 // Environment variables validation
-// Environment variables validation
+// Quran Foundation credentials are only needed when it is the content provider
 const requiredEnvVars = [
   'MONGO_URI',
-  'QF_CLIENT_ID',
-  'QF_CLIENT_SECRET',
+  ...(PROVIDER_ENV_VARS[QURAN_PROVIDER] || PROVIDER_ENV_VARS.qf),
 ];
 
 const missingEnvVars = requiredEnvVars.filter((envVar) => !process.env[envVar]);
@@ -111,6 +113,8 @@ app.use('/api/words', wordRoutes);
 app.use('/api/progress', progressRoutes);
 app.use('/api/quran', quranRoutes);
 app.use('/api/stories', storyRoutes);
+app.use('/api/quiz', quizRoutes);
+app.use('/api/admin', adminRoutes);
 
 // 404 handler
 app.use(notFoundHandler);
@@ -129,7 +133,7 @@ app.listen(PORT, () => {
 ║                                                                           ║
 ║      Port: ${PORT.toString().padEnd(43)}                                  ║
 ║      Environment: ${(process.env.NODE_ENV || 'development').padEnd(38)}   ║
-║      Quran API: ${(process.env.QF_ENV || 'prelive').padEnd(40)}           ║
+║      Quran API: ${(QURAN_PROVIDER === 'local' ? 'local file' : process.env.QF_ENV || 'prelive').padEnd(40)}           ║
 ║                                                                           ║
 ╚═══════════════════════════════════════════════════════════════════════════╝
   `);
@@ -0,0 +1,303 @@
+const NodeCache = require('node-cache');
+const CacheEntry = require('../models/CacheEntry');
+const { escapeRegExp } = require('../utils/search');
+const { createSingleFlight } = require('../utils/singleFlight');
+const { CACHE_BACKENDS, CACHE_BACKEND, CACHE_TTLS, FALLBACK_TTL } = require('../config/cache');
+
+// Most entries listed by the admin endpoint at once
+const MAX_LISTED_ENTRIES = 200;
+
+/**
+ * In-memory cache backend
+ * Entries live in this process only and are lost on restart
+ */
+class MemoryCacheStore {
+  constructor() {
+    this.name = 'memory';
+    this.cache = new NodeCache({
+      stdTTL: 0,               // Each entry expires at its own expiresAt
+      checkperiod: 600,        // Sweep expired keys every 10 minutes
+      useClones: false,        // Better performance
+    });
+  }
+
+  async get(key) {
+    return this.cache.get(key) || null;
+  }
+
+  async set(key, entry) {
+    const ttlSeconds = Math.max(Math.ceil((entry.expiresAt - Date.now()) / 1000), 1);
+    this.cache.set(key, { ...entry, updatedAt: Date.now() }, ttlSeconds);
+  }
+
+  async list(prefix, limit) {
+    return this.cache
+      .keys()
+      .filter((key) => key.startsWith(prefix))
+      .slice(0, limit)
+      .map((key) => {
+        const { namespace, freshUntil, staleUntil, expiresAt, updatedAt } = this.cache.get(key) || {};
+        return { key, namespace, freshUntil, staleUntil, expiresAt, updatedAt };
+      })
+      .filter((entry) => entry.namespace);
+  }
+
+  async count() {
+    const namespaces = {};
+    for (const key of this.cache.keys()) {
+      const entry = this.cache.get(key);
+      if (entry) namespaces[entry.namespace] = (namespaces[entry.namespace] || 0) + 1;
+    }
+    return namespaces;
+  }
+
+  async purge(prefix) {
+    const keys = this.cache.keys().filter((key) => key.startsWith(prefix));
+    return this.cache.del(keys);
+  }
+}
+
+/**
+ * MongoDB cache backend
+ * Entries are shared by all instances and survive restarts and cold starts;
+ * MongoDB deletes them once they expire (see models/CacheEntry)
+ */
+class MongoCacheStore {
+  constructor() {
+    this.name = 'mongo';
+  }
+
+  async get(key) {
+    const entry = await CacheEntry.findOne({ key }).select('namespace value freshUntil staleUntil expiresAt').lean();
+    // The TTL monitor runs about once a minute, so expired entries may linger
+    if (!entry || entry.expiresAt.getTime() <= Date.now()) {
+      return null;
+    }
+    return {
+      ...entry,
+      freshUntil: entry.freshUntil.getTime(),
+      staleUntil: entry.staleUntil.getTime(),
+      expiresAt: entry.expiresAt.getTime(),
+    };
+  }
+
+  async set(key, { namespace, value, freshUntil, staleUntil, expiresAt }) {
+    await CacheEntry.updateOne(
+      { key },
+      {
+        $set: {
+          namespace,
+          value,
+          freshUntil: new Date(freshUntil),
+          staleUntil: new Date(staleUntil),
+          expiresAt: new Date(expiresAt),
+        },
+      },
+      { upsert: true }
+    );
+  }
+
+  async list(prefix, limit) {
+    const entries = await CacheEntry.find(prefix ? { key: { $regex: `^${escapeRegExp(prefix)}` } } : {})
+      .sort({ updatedAt: -1 })
+      .limit(limit)
+      .select('key namespace freshUntil staleUntil expiresAt updatedAt')
+      .lean();
+    return entries.map(({ key, namespace, freshUntil, staleUntil, expiresAt, updatedAt }) => ({
+      key,
+      namespace,
+      freshUntil: freshUntil.getTime(),
+      staleUntil: staleUntil.getTime(),
+      expiresAt: expiresAt.getTime(),
+      updatedAt,
+    }));
+  }
+
+  async count() {
+    const counts = await CacheEntry.aggregate([
+      { $match: { expiresAt: { $gt: new Date() } } },
+      { $group: { _id: '$namespace', count: { $sum: 1 } } },
+    ]);
+    return Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+  }
+
+  async purge(prefix) {
+    const { deletedCount } = await CacheEntry.deleteMany(
+      prefix ? { key: { $regex: `^${escapeRegExp(prefix)}` } } : {}
+    );
+    return deletedCount;
+  }
+}
+
+const STORES = { memory: MemoryCacheStore, mongo: MongoCacheStore };
+
+/**
+ * Cache Service
+ * Stale-while-revalidate cache for upstream responses. Fresh entries are
+ * served as is; stale ones are served immediately while one background
+ * refresh replaces them; older ones are fetched before responding, but still
+ * served if that fetch fails (stale-if-error). Concurrent loads of the same
+ * key share one upstream call. A failing backend never fails the request: it
+ * is treated as a miss.
+ */
+class CacheService {
+  constructor() {
+    if (!CACHE_BACKENDS.includes(CACHE_BACKEND)) {
+      console.warn(`⚠️  Unknown CACHE_BACKEND "${CACHE_BACKEND}", using memory`);
+    }
+    this.store = new (STORES[CACHE_BACKEND] || MemoryCacheStore)();
+    this.maxListedEntries = MAX_LISTED_ENTRIES;
+
+    // Loads in flight, shared by concurrent callers of the same key
+    this.loads = createSingleFlight();
+
+    // Counters since this process started
+    this.stats = { hits: 0, staleHits: 0, misses: 0, staleIfErrorHits: 0, errors: 0 };
+
+    console.log(`📦 Cache backend: ${this.store.name}`);
+  }
+
+  /**
+   * Get the TTLs of a namespace
+   * @param {string} namespace - Cache namespace
+   * @returns {Object} { ttl, staleTtl, staleIfErrorTtl } in seconds
+   */
+  getTtl(namespace) {
+    return CACHE_TTLS[namespace] || FALLBACK_TTL;
+  }
+
+  /**
+   * Read an entry, treating backend errors as a miss
+   * @param {string} key - Full cache key
+   * @returns {Promise<Object|null>} Entry or null
+   */
+  async read(key) {
+    try {
+      return await this.store.get(key);
+    } catch (error) {
+      this.stats.errors++;
+      console.error(`❌ Cache read failed for ${key}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Load a value and store it, ignoring backend write errors
+   * Concurrent refreshes of the same key share one load
+   * @param {string} namespace - Cache namespace
+   * @param {string} key - Full cache key
+   * @param {Function} loader - Async function producing the value
+   * @returns {Promise<*>} Loaded value
+   */
+  refresh(namespace, key, loader) {
+    return this.loads(key, async () => {
+      const value = await loader();
+      const { ttl, staleTtl, staleIfErrorTtl } = this.getTtl(namespace);
+      const now = Date.now();
+
+      try {
+        await this.store.set(key, {
+          namespace,
+          value,
+          freshUntil: now + ttl * 1000,
+          staleUntil: now + (ttl + staleTtl) * 1000,
+          expiresAt: now + (ttl + staleTtl + staleIfErrorTtl) * 1000,
+        });
+      } catch (error) {
+        this.stats.errors++;
+        console.error(`❌ Cache write failed for ${key}:`, error.message);
+      }
+      return value;
+    });
+  }
+
+  /**
+   * Refresh a stale entry in the background
+   * @param {string} namespace - Cache namespace
+   * @param {string} key - Full cache key
+   * @param {Function} loader - Async function producing the value
+   */
+  revalidate(namespace, key, loader) {
+    this.refresh(namespace, key, loader).catch((error) =>
+      console.warn(`⚠️  Background refresh failed for ${key}:`, error.message)
+    );
+  }
+
+  /**
+   * Get a cached value, loading it on a miss
+   * @param {string} namespace - Cache namespace (selects the TTLs, see config/cache)
+   * @param {string} key - Key within the namespace
+   * @param {Function} loader - Async function producing the value
+   * @returns {Promise<*>} Cached or loaded value
+   */
+  async wrap(namespace, key, loader) {
+    const fullKey = `${namespace}:${key}`;
+    const entry = await this.read(fullKey);
+    const now = Date.now();
+
+    if (entry && now < entry.freshUntil) {
+      this.stats.hits++;
+      return entry.value;
+    }
+
+    if (entry && now < entry.staleUntil) {
+      this.stats.staleHits++;
+      this.revalidate(namespace, fullKey, loader);
+      return entry.value;
+    }
+
+    this.stats.misses++;
+    try {
+      return await this.refresh(namespace, fullKey, loader);
+    } catch (error) {
+      if (!entry) {
+        throw error;
+      }
+      this.stats.staleIfErrorHits++;
+      console.warn(`⚠️  Serving expired ${fullKey} because refreshing failed:`, error.message);
+      return entry.value;
+    }
+  }
+
+  /**
+   * Describe the cache for the admin endpoint
+   * @param {Object} options - Listing options
+   * @param {string} options.prefix - Only list keys starting with this (e.g. "verse:")
+   * @param {number} options.limit - Most entries to list
+   * @returns {Promise<Object>} { backend, ttls, stats, namespaces, entries }
+   */
+  async describe({ prefix = '', limit = 50 } = {}) {
+    const [namespaces, entries] = await Promise.all([
+      this.store.count(),
+      this.store.list(prefix, Math.min(limit, MAX_LISTED_ENTRIES)),
+    ]);
+    const now = Date.now();
+
+    return {
+      backend: this.store.name,
+      ttls: { ...CACHE_TTLS },
+      stats: { ...this.stats, loading: this.loads.size },
+      namespaces,
+      entries: entries.map((entry) => ({
+        ...entry,
+        freshUntil: new Date(entry.freshUntil),
+        staleUntil: new Date(entry.staleUntil),
+        expiresAt: new Date(entry.expiresAt),
+        updatedAt: new Date(entry.updatedAt),
+        state: now < entry.freshUntil ? 'fresh' : now < entry.staleUntil ? 'stale' : 'stale-if-error',
+      })),
+    };
+  }
+
+  /**
+   * Remove entries
+   * @param {string} prefix - Only remove keys starting with this (empty for all)
+   * @returns {Promise<number>} Number of entries removed
+   */
+  purge(prefix = '') {
+    return this.store.purge(prefix);
+  }
+}
+
+// Export a singleton instance
+module.exports = new CacheService();
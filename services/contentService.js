@@ -0,0 +1,374 @@
+const Word = require('../models/Word');
+const Story = require('../models/Story');
+const User = require('../models/User');
+const UserWord = require('../models/UserWord');
+const Review = require('../models/Review');
+const AuditLog = require('../models/AuditLog');
+const Revision = require('../models/Revision');
+const { normalizeRoot } = require('../utils/arabic');
+const { toCanonicalType } = require('../utils/partOfSpeech');
+
+/**
+ * Editable fields per entity; ids, timestamps and derived search fields are
+ * managed by the server
+ */
+const ENTITIES = {
+  word: {
+    Model: Word,
+    fields: [
+      'arabic', 'transliteration', 'translation', 'english', 'bangla', 'translations',
+      'frequency', 'type', 'root', 'lemma', 'pattern', 'verbForm', 'verbVowels',
+    ],
+  },
+  story: {
+    Model: Story,
+    fields: ['title', 'content', 'source'],
+  },
+};
+
+/**
+ * Compare two field values (scalars, arrays or plain objects)
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if equal
+ */
+const isEqual = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Content Service
+ * Creates, updates, deletes and rolls back words and stories on behalf of
+ * editors, keeping users' progress consistent and recording every change in
+ * the audit log and the revision history
+ */
+class ContentService {
+  /**
+   * Get the body fields an entity does not accept
+   * @param {string} entity - word or story
+   * @param {Object} input - Request body
+   * @returns {Array<string>} Unknown field names
+   */
+  unknownFields(entity, input) {
+    const { fields } = ENTITIES[entity];
+    return Object.keys(input).filter((field) => field !== 'id' && !fields.includes(field));
+  }
+
+  /**
+   * Get the next free ID of an entity
+   * IDs of deleted entities are never handed out again, so a new entity never
+   * continues the revision history of a deleted one
+   * @param {string} entity - word or story
+   * @returns {Promise<number>} Highest ID ever used + 1
+   */
+  async nextId(entity) {
+    const [last, lastRevision] = await Promise.all([
+      ENTITIES[entity].Model.findOne().sort({ id: -1 }).select('id').lean(),
+      Revision.findOne({ entity }).sort({ entityId: -1 }).select('entityId').lean(),
+    ]);
+    return Math.max(last ? last.id : 0, lastRevision ? lastRevision.entityId : 0) + 1;
+  }
+
+  /**
+   * Take the editable fields from a request body, normalizing word input the
+   * way the seeder does (canonical type, normalized root)
+   * @param {string} entity - word or story
+   * @param {Object} input - Request body
+   * @returns {Object} Fields to set
+   */
+  pickFields(entity, input) {
+    const fields = {};
+    for (const field of ENTITIES[entity].fields) {
+      if (input[field] !== undefined) {
+        fields[field] = input[field];
+      }
+    }
+
+    if (entity === 'word') {
+      if (typeof fields.type === 'string') {
+        fields.type = toCanonicalType(fields.type) || fields.type;
+      }
+      if (typeof fields.root === 'string') {
+        fields.root = normalizeRoot(fields.root) || null;
+      }
+    }
+    return fields;
+  }
+
+  /**
+   * Apply fields to a document
+   * Word translations are merged per locale (an empty gloss removes it), and
+   * the legacy english/bangla fields keep their locales in step
+   * @param {Document} doc - Word or story document
+   * @param {string} entity - word or story
+   * @param {Object} fields - Fields from pickFields
+   */
+  applyFields(doc, entity, fields) {
+    const { translations, ...rest } = fields;
+    doc.set(rest);
+
+    if (entity !== 'word') {
+      return;
+    }
+
+    const glosses = { ...(translations && typeof translations === 'object' ? translations : {}) };
+    if (rest.english && glosses.en === undefined) glosses.en = rest.english;
+    if (rest.bangla && glosses.bn === undefined) glosses.bn = rest.bangla;
+    if (rest.english && rest.translation === undefined) doc.translation = rest.english;
+
+    for (const [code, gloss] of Object.entries(glosses)) {
+      if (gloss) {
+        doc.translations.set(code, gloss);
+      } else {
+        doc.translations.delete(code);
+      }
+    }
+  }
+
+  /**
+   * Get the editable state of a document, as stored in the audit log and revisions
+   * @param {Document|Object} doc - Word or story document, or a lean object
+   * @param {string} entity - word or story
+   * @returns {Object} id and editable fields
+   */
+  snapshot(doc, entity) {
+    const values = typeof doc.toObject === 'function'
+      ? doc.toObject({ virtuals: false, flattenMaps: true })
+      : doc;
+    const snapshot = { id: values.id };
+    for (const field of ENTITIES[entity].fields) {
+      snapshot[field] = values[field] ?? null;
+    }
+    return snapshot;
+  }
+
+  /**
+   * Create a word or story
+   * @param {string} entity - word or story
+   * @param {Object} input - Request body (id is optional)
+   * @param {Object} actor - Who makes the change (see AuditLog.record)
+   * @param {Object} options - { revertedTo } when restoring a deleted entity
+   * @returns {Promise<Document>} Created document
+   */
+  async create(entity, input, actor, { revertedTo } = {}) {
+    const { Model } = ENTITIES[entity];
+    const id = input.id !== undefined ? input.id : await this.nextId(entity);
+
+    const doc = new Model({ id });
+    this.applyFields(doc, entity, this.pickFields(entity, input));
+    await doc.save();
+
+    await this.recordChange(entity, doc.id, actor, {
+      action: revertedTo ? 'rollback' : 'create',
+      after: this.snapshot(doc, entity),
+      revertedTo,
+    });
+    return doc;
+  }
+
+  /**
+   * Update a word or story
+   * A changed word frequency is propagated to the totals of users who learned it
+   * @param {string} entity - word or story
+   * @param {Document} doc - Document to update
+   * @param {Object} input - Request body
+   * @param {Object} actor - Who makes the change (see AuditLog.record)
+   * @param {Object} options - { revertedTo } when rolling back
+   * @returns {Promise<Object>} { doc, changes } where changes are { field: { from, to } }
+   */
+  async update(entity, doc, input, actor, { revertedTo } = {}) {
+    const before = this.snapshot(doc, entity);
+    this.applyFields(doc, entity, this.pickFields(entity, input));
+    // Validate first so fields filled in by validate hooks show up in the diff
+    await doc.validate();
+    const after = this.snapshot(doc, entity);
+
+    const changes = {};
+    for (const field of ENTITIES[entity].fields) {
+      if (!isEqual(before[field], after[field])) {
+        changes[field] = { from: before[field], to: after[field] };
+      }
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return { doc, changes };
+    }
+
+    await doc.save();
+    if (entity === 'word' && changes.frequency) {
+      await this.reconcileLearners([doc.id]);
+    }
+
+    await this.recordChange(entity, doc.id, actor, {
+      action: revertedTo ? 'rollback' : 'update',
+      before,
+      after,
+      changes,
+      revertedTo,
+    });
+    return { doc, changes };
+  }
+
+  /**
+   * Delete a word or story
+   * Deleted words are removed from every user's progress
+   * @param {string} entity - word or story
+   * @param {Document} doc - Document to delete
+   * @param {Object} actor - Who makes the change (see AuditLog.record)
+   * @returns {Promise<Object>} { affectedUsers }
+   */
+  async remove(entity, doc, actor) {
+    const snapshot = this.snapshot(doc, entity);
+    await doc.deleteOne();
+
+    const affectedUsers = entity === 'word' ? await this.removeFromProgress([doc.id]) : 0;
+
+    await this.recordChange(entity, doc.id, actor, { action: 'delete', before: snapshot, after: null });
+    return { affectedUsers };
+  }
+
+  /**
+   * Restore the state of a revision
+   * Recreates the entity if it was deleted since
+   * @param {string} entity - word or story
+   * @param {Object} revision - Revision to restore (must have data)
+   * @param {Object} actor - Who makes the change (see AuditLog.record)
+   * @returns {Promise<Object>} { doc, changes, restored } where restored is true if recreated
+   */
+  async rollback(entity, revision, actor) {
+    const { Model } = ENTITIES[entity];
+    const { id, ...data } = revision.data;
+    const options = { revertedTo: revision.version };
+
+    const doc = await Model.findOne({ id: revision.entityId });
+    if (!doc) {
+      const created = await this.create(entity, { ...data, id: revision.entityId }, actor, options);
+      return { doc: created, changes: {}, restored: true };
+    }
+
+    // Locales added after the revision are removed
+    if (entity === 'word') {
+      const current = Object.fromEntries([...doc.translations.keys()].map((code) => [code, '']));
+      data.translations = { ...current, ...data.translations };
+    }
+
+    const { changes } = await this.update(entity, doc, data, actor, options);
+    return { doc, changes, restored: false };
+  }
+
+  /**
+   * Record a change in the audit log and the revision history
+   * The state before the first recorded change is kept as a baseline revision
+   * @param {string} entity - word or story
+   * @param {number} entityId - Entity ID
+   * @param {Object} actor - Who made the change (see AuditLog.record)
+   * @param {Object} change - { action, before, after, changes, revertedTo }
+   */
+  async recordChange(entity, entityId, actor, { action, before = null, after, changes, revertedTo }) {
+    await AuditLog.record(actor, action, entity, entityId, changes ? { changes } : { snapshot: after || before });
+
+    if (before && !(await Revision.exists({ entity, entityId }))) {
+      await Revision.record({ entity, entityId, action: 'baseline', source: 'baseline', author: null, data: before });
+    }
+
+    await Revision.record({
+      entity,
+      entityId,
+      action,
+      source: 'admin',
+      author: {
+        user: actor.user,
+        uid: actor.uid,
+        email: actor.email || null,
+        displayName: actor.displayName || null,
+        role: actor.role,
+      },
+      data: after,
+      revertedTo,
+    });
+  }
+
+  /**
+   * Record the changes of a seed run as revisions
+   * Entities changed or removed without any revision yet get a baseline of
+   * their state before the import first
+   * @param {string} entity - word or story
+   * @param {Object} diff - Diff from utils/dataImport diffCollection, after applyDiff
+   * @returns {Promise<number>} Number of revisions recorded
+   */
+  async recordImport(entity, diff) {
+    const { Model, fields } = ENTITIES[entity];
+    // Changes to derived or non-editable fields only are not revisions
+    const changed = diff.changed.filter(({ changes }) => Object.keys(changes).some((field) => fields.includes(field)));
+    const { removed } = diff;
+
+    const writtenIds = [...diff.added.map((document) => document.id), ...changed.map(({ key }) => key)];
+    const written = await Model.find({ id: { $in: writtenIds } });
+    const afterById = new Map(written.map((doc) => [doc.id, this.snapshot(doc, entity)]));
+
+    const versioned = await Revision.getLatestVersions(entity, [
+      ...changed.map(({ key }) => key),
+      ...removed.map((document) => document.id),
+    ]);
+
+    const revisions = [];
+    const add = (entityId, action, data) => revisions.push({ entityId, action, source: 'seed', author: null, data });
+
+    for (const document of diff.added) {
+      add(document.id, 'create', afterById.get(document.id));
+    }
+    for (const { key, changes } of changed) {
+      const after = afterById.get(key);
+      if (!versioned.has(key)) {
+        const before = { ...after };
+        Object.entries(changes)
+          .filter(([field]) => fields.includes(field))
+          .forEach(([field, { from }]) => { before[field] = from ?? null; });
+        revisions.push({ entityId: key, action: 'baseline', source: 'baseline', author: null, data: before });
+      }
+      add(key, 'update', after);
+    }
+    for (const document of removed) {
+      if (!versioned.has(document.id)) {
+        revisions.push({
+          entityId: document.id, action: 'baseline', source: 'baseline', author: null, data: this.snapshot(document, entity),
+        });
+      }
+      add(document.id, 'delete', null);
+    }
+
+    return Revision.recordMany(entity, revisions);
+  }
+
+  /**
+   * Recompute the totals of users who learned any of the given words
+   * @param {Array<number>} wordIds - Word IDs
+   * @returns {Promise<number>} Number of affected users
+   */
+  async reconcileLearners(wordIds) {
+    const userIds = await UserWord.distinct('user', { wordId: { $in: wordIds } });
+    for (const userId of userIds) {
+      await User.reconcileTotalFrequency(userId);
+    }
+    return userIds.length;
+  }
+
+  /**
+   * Remove deleted words from users' progress and fix their totals
+   * @param {Array<number>} wordIds - Deleted word IDs
+   * @returns {Promise<number>} Number of affected users
+   */
+  async removeFromProgress(wordIds) {
+    const userIds = await UserWord.distinct('user', { wordId: { $in: wordIds } });
+
+    await Promise.all([
+      UserWord.deleteMany({ wordId: { $in: wordIds } }),
+      Review.deleteMany({ wordId: { $in: wordIds } }),
+    ]);
+    for (const userId of userIds) {
+      await User.reconcileTotalFrequency(userId);
+    }
+
+    return userIds.length;
+  }
+}
+
+module.exports = new ContentService();
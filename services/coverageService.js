@@ -0,0 +1,188 @@
+const NodeCache = require('node-cache');
+const Verse = require('../models/Verse');
+const Word = require('../models/Word');
+const UserWord = require('../models/UserWord');
+
+/**
+ * Coverage Service
+ * Computes how much of each surah a user can understand from their learned
+ * words, using the local verse token index (see import-quran.js)
+ */
+class CoverageService {
+  constructor() {
+    // Surah token counts only change when the Quran text is re-imported
+    this.cache = new NodeCache({
+      stdTTL: 86400,
+      checkperiod: 3600,
+      useClones: false,
+    });
+  }
+
+  /**
+   * Get the number of verses and word tokens in every surah
+   * @returns {Promise<Map<number, Object>>} chapter → { verses, totalWords }
+   */
+  async getChapterTotals() {
+    const cached = this.cache.get('chapterTotals');
+    if (cached) {
+      return cached;
+    }
+
+    const rows = await Verse.aggregate([
+      {
+        $group: {
+          _id: '$chapter',
+          verses: { $sum: 1 },
+          totalWords: { $sum: { $size: '$tokens' } },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]);
+
+    const totals = new Map(
+      rows.map((row) => [row._id, { verses: row.verses, totalWords: row.totalWords }])
+    );
+
+    // Don't cache an empty index: the text may be imported while running
+    if (totals.size > 0) {
+      this.cache.set('chapterTotals', totals);
+    }
+    return totals;
+  }
+
+  /**
+   * Get the normalized forms of every word a user has learned
+   * @param {ObjectId} userId - ID of the user
+   * @returns {Promise<Array<string>>} Known normalized forms
+   */
+  async getKnownForms(userId) {
+    const learnedIds = await UserWord.getLearnedIds(userId);
+    if (learnedIds.length === 0) {
+      return [];
+    }
+    return Word.distinct('arabicNormalized', { id: { $in: learnedIds } });
+  }
+
+  /**
+   * Count word tokens per normalized form in one surah
+   * @param {number} chapter - Surah number
+   * @returns {Promise<Array<{form: string, count: number}>>} Most frequent first
+   */
+  async getChapterForms(chapter) {
+    const cacheKey = `chapterForms:${chapter}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const forms = await Verse.aggregate([
+      { $match: { chapter } },
+      { $unwind: '$tokens' },
+      { $group: { _id: '$tokens.normalized', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $project: { _id: 0, form: '$_id', count: 1 } },
+    ]);
+
+    if (forms.length > 0) {
+      this.cache.set(cacheKey, forms);
+    }
+    return forms;
+  }
+
+  /**
+   * Calculate coverage for every surah
+   * @param {ObjectId} userId - ID of the user
+   * @returns {Promise<Array>} Coverage per surah, in surah order
+   */
+  async getSurahCoverage(userId) {
+    const [totals, knownForms] = await Promise.all([
+      this.getChapterTotals(),
+      this.getKnownForms(userId),
+    ]);
+
+    const knownRows = knownForms.length > 0
+      ? await Verse.aggregate([
+        { $match: { 'tokens.normalized': { $in: knownForms } } },
+        { $unwind: '$tokens' },
+        { $match: { 'tokens.normalized': { $in: knownForms } } },
+        { $group: { _id: '$chapter', knownWords: { $sum: 1 } } },
+      ])
+      : [];
+    const knownByChapter = new Map(knownRows.map((row) => [row._id, row.knownWords]));
+
+    return [...totals.entries()].map(([chapter, { verses, totalWords }]) => {
+      const knownWords = knownByChapter.get(chapter) || 0;
+      return {
+        chapter,
+        verses,
+        totalWords,
+        knownWords,
+        coveragePercentage: totalWords > 0 ? parseFloat(((knownWords / totalWords) * 100).toFixed(2)) : 0,
+      };
+    });
+  }
+
+  /**
+   * Calculate coverage for one surah and suggest the unknown words that
+   * would raise it the most
+   * @param {ObjectId} userId - ID of the user
+   * @param {number} chapter - Surah number
+   * @param {number} limit - Number of suggestions
+   * @returns {Promise<Object|null>} Coverage details, or null if the surah is not indexed
+   */
+  async getSurahDetails(userId, chapter, limit = 10) {
+    const [totals, forms, knownForms] = await Promise.all([
+      this.getChapterTotals(),
+      this.getChapterForms(chapter),
+      this.getKnownForms(userId),
+    ]);
+
+    const chapterTotals = totals.get(chapter);
+    if (!chapterTotals) {
+      return null;
+    }
+
+    const known = new Set(knownForms);
+    const { totalWords } = chapterTotals;
+    const knownWords = forms
+      .filter(({ form }) => known.has(form))
+      .reduce((sum, { count }) => sum + count, 0);
+
+    // Unknown forms that exist in the vocabulary, most frequent in the surah first
+    const unknownForms = forms.filter(({ form }) => !known.has(form));
+    const candidates = await Word.find({ arabicNormalized: { $in: unknownForms.map(({ form }) => form) } })
+      .select('id arabic arabicNormalized translation transliteration frequency type')
+      .sort({ frequency: -1 })
+      .lean();
+
+    // Several entries can share a form; suggest the most frequent one
+    const wordByForm = new Map();
+    for (const word of candidates) {
+      if (!wordByForm.has(word.arabicNormalized)) {
+        wordByForm.set(word.arabicNormalized, word);
+      }
+    }
+
+    const suggestedWords = unknownForms
+      .filter(({ form }) => wordByForm.has(form))
+      .slice(0, limit)
+      .map(({ form, count }) => ({
+        ...wordByForm.get(form),
+        occurrencesInSurah: count,
+        coverageGain: parseFloat(((count / totalWords) * 100).toFixed(2)),
+      }));
+
+    return {
+      chapter,
+      verses: chapterTotals.verses,
+      totalWords,
+      uniqueWords: forms.length,
+      knownWords,
+      coveragePercentage: totalWords > 0 ? parseFloat(((knownWords / totalWords) * 100).toFixed(2)) : 0,
+      suggestedWords,
+    };
+  }
+}
+
+// Export a singleton instance
+module.exports = new CoverageService();
@@ -0,0 +1,89 @@
+const verseAnnotationService = require('./verseAnnotationService');
+const { normalizeArabic } = require('../utils/arabic');
+
+// Words a verse can have before it counts as long
+const IDEAL_LENGTH = 15;
+
+// Score lost per word beyond IDEAL_LENGTH, and at most
+const LENGTH_PENALTY = 0.02;
+const MAX_LENGTH_PENALTY = 0.5;
+
+// Score lost when the search matched the verse but the exact form is not in it
+const MISSING_WORD_PENALTY = 0.2;
+
+/**
+ * Example Ranking Service
+ * Orders example verses for comprehensible input: a verse is a good example
+ * when the learner already knows most of its other words and it is short
+ * enough to read. Each ranked verse says why it was placed where it is.
+ */
+class ExampleRankingService {
+  /**
+   * Score one verse
+   * @param {Object} verse - Verse with words, annotated for the user if signed in
+   * @param {string} form - Normalized form of the word the examples are for
+   * @returns {Object} { score, knownOtherWords, otherWords, length, containsWord, reasons }
+   */
+  scoreVerse(verse, form) {
+    const forms = verseAnnotationService.getWordForms(verse);
+    const words = (verse.words || []).filter((word) => word.char_type_name === 'word');
+    const length = words.length;
+    const containsWord = [...forms.values()].includes(form);
+
+    // The example word itself is what the learner is here to learn
+    const others = words.filter((word) => forms.get(word.position) !== form);
+    const annotated = Boolean(verse.understanding);
+    const knownOtherWords = others.filter((word) => word.vocabulary && word.vocabulary.isLearned).length;
+    const knownRatio = annotated && others.length > 0 ? knownOtherWords / others.length : 0;
+
+    const lengthPenalty = Math.min(Math.max(length - IDEAL_LENGTH, 0) * LENGTH_PENALTY, MAX_LENGTH_PENALTY);
+    const score = knownRatio - lengthPenalty - (containsWord ? 0 : MISSING_WORD_PENALTY);
+
+    const reasons = [];
+    if (annotated) {
+      reasons.push(
+        others.length > 0
+          ? `You know ${knownOtherWords} of the ${others.length} other words (${Math.round(knownRatio * 100)}%)`
+          : 'The verse has no other words'
+      );
+    } else {
+      reasons.push('Sign in to rank by the words you know');
+    }
+    reasons.push(
+      lengthPenalty > 0
+        ? `Long verse (${length} words), ranked lower`
+        : `Short verse (${length} words)`
+    );
+    if (!containsWord) {
+      reasons.push('Matched by the search but not in this exact form, ranked lower');
+    }
+
+    return {
+      score: parseFloat(score.toFixed(3)),
+      knownOtherWords,
+      otherWords: others.length,
+      length,
+      containsWord,
+      reasons,
+    };
+  }
+
+  /**
+   * Rank example verses, best first
+   * Ties keep the search order
+   * @param {Array<Object>} verses - Candidate verses, annotated for the user if signed in (not modified)
+   * @param {string} word - The word the examples are for
+   * @returns {Array<Object>} Copies with ranking: { rank, score, ..., reasons }
+   */
+  rank(verses, word) {
+    const form = normalizeArabic(word);
+
+    return verses
+      .map((verse, index) => ({ verse, index, ranking: this.scoreVerse(verse, form) }))
+      .sort((a, b) => b.ranking.score - a.ranking.score || a.index - b.index)
+      .map(({ verse, ranking }, position) => ({ ...verse, ranking: { rank: position + 1, ...ranking } }));
+  }
+}
+
+// Export a singleton instance
+module.exports = new ExampleRankingService();
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const { UpstreamError } = require('../upstreamClient');
+const { normalizeArabic, tokenizeArabic } = require('../../utils/arabic');
+const { VERSE_COUNTS } = require('../../utils/verseReference');
+
+/**
+ * Local file provider
+ * Serves verses from a JSON file, for development and tests without
+ * credentials or network. The file holds { "verses": [...], "resources":
+ * { "chapters": [...], "translations": [...], "recitations": [...] } }.
+ * Each verse has the shape of a Quran Foundation verses/by_key verse (words
+ * included) and carries every translation available locally; requests get
+ * the ones they ask for. Resources have the shape of the chapters and
+ * resources endpoints; without them, chapters are listed with their verse
+ * counts only and translations by the IDs found in the verses.
+ * data/quran-local.json contains the chapter list and Al-Fatihah with The
+ * Clear Quran (131).
+ */
+class LocalQuranProvider {
+  /**
+   * @param {string} file - Path to the JSON file
+   */
+  constructor(file) {
+    this.name = 'local';
+    this.file = file;
+
+    // Loaded on first use: verse key → verse, the normalized words of each
+    // verse and the resource catalogs
+    this.verses = null;
+    this.tokens = null;
+    this.resources = null;
+  }
+
+  /**
+   * Load the file once
+   * @returns {Map<string, Object>} Verse key → verse
+   */
+  load() {
+    if (this.verses) {
+      return this.verses;
+    }
+
+    if (!fs.existsSync(this.file)) {
+      throw new UpstreamError(`Local Quran file not found: ${path.basename(this.file)}`, 503);
+    }
+
+    const data = JSON.parse(fs.readFileSync(this.file, 'utf8').replace(/^\uFEFF/, ''));
+    const verses = Array.isArray(data) ? data : data.verses || [];
+
+    const resources = (!Array.isArray(data) && data.resources) || {};
+    const translationIds = [
+      ...new Set(verses.flatMap((verse) => (verse.translations || []).map((translation) => translation.resource_id))),
+    ];
+    this.resources = {
+      chapters: resources.chapters || VERSE_COUNTS.map((count, index) => ({ id: index + 1, verses_count: count })),
+      translations: resources.translations || translationIds.map((id) => ({ id, name: null })),
+      recitations: resources.recitations || [],
+    };
+
+    this.verses = new Map(verses.map((verse) => [verse.verse_key, verse]));
+    this.tokens = new Map(
+      verses.map((verse) => [verse.verse_key, new Set(tokenizeArabic(verse.text_uthmani).map((token) => token.normalized))])
+    );
+
+    console.log(`✅ Loaded ${this.verses.size} verses from ${path.basename(this.file)}`);
+    return this.verses;
+  }
+
+  /**
+   * Search for verses containing a word, in reading order
+   * @param {string} query - Arabic word
+   * @param {Object} options - { size, page }
+   * @returns {Promise<Object>} { results: [{ verse_key }], pagination }
+   */
+  async search(query, { size, page }) {
+    this.load();
+    const normalized = normalizeArabic(query);
+    const matches = normalized
+      ? [...this.tokens.entries()].filter(([, tokens]) => tokens.has(normalized)).map(([verseKey]) => verseKey)
+      : [];
+
+    const totalPages = Math.ceil(matches.length / size);
+    return {
+      results: matches.slice((page - 1) * size, page * size).map((verseKey) => ({ verse_key: verseKey })),
+      pagination: {
+        current_page: page,
+        next_page: page < totalPages ? page + 1 : null,
+        total_pages: totalPages,
+        total_records: matches.length,
+      },
+    };
+  }
+
+  /**
+   * Get a verse with its words and the requested translations
+   * @param {string} verseKey - Verse reference (e.g., "2:255")
+   * @param {string} translationIds - Comma-separated translation IDs
+   * @returns {Promise<Object>} { verse }, as returned by verses/by_key
+   */
+  async getVerse(verseKey, translationIds) {
+    const verse = this.load().get(verseKey);
+    if (!verse) {
+      throw new UpstreamError(`Verse ${verseKey} is not in the local Quran file`, 404, { upstreamStatus: 404 });
+    }
+
+    const ids = translationIds.toString().split(',').map((id) => parseInt(id));
+    return {
+      verse: {
+        ...verse,
+        translations: (verse.translations || [])
+          .filter((translation) => ids.includes(translation.resource_id))
+          .sort((a, b) => ids.indexOf(a.resource_id) - ids.indexOf(b.resource_id)),
+      },
+    };
+  }
+
+  /**
+   * List the chapters in the file
+   * @returns {Promise<Array>} Chapters ({ id, name_simple, verses_count, ... })
+   */
+  async getChapters() {
+    this.load();
+    return this.resources.chapters;
+  }
+
+  /**
+   * List the translations in the file
+   * @returns {Promise<Array>} Translations ({ id, name, author_name, language_name, ... })
+   */
+  async getTranslations() {
+    this.load();
+    return this.resources.translations;
+  }
+
+  /**
+   * List the recitations in the file
+   * @returns {Promise<Array>} Recitations ({ id, reciter_name, style, ... })
+   */
+  async getRecitations() {
+    this.load();
+    return this.resources.recitations;
+  }
+
+  /**
+   * Check that the file can be read
+   * @returns {Promise<Object>} Provider details
+   */
+  async checkHealth() {
+    return { file: path.basename(this.file), verses: this.load().size };
+  }
+
+  /**
+   * Get the provider state for health checks
+   * @returns {Object} { loaded }
+   */
+  getStatus() {
+    return { loaded: Boolean(this.verses) };
+  }
+}
+
+module.exports = LocalQuranProvider;
@@ -0,0 +1,259 @@
+const { UpstreamClient, UpstreamError } = require('../upstreamClient');
+const { createSingleFlight } = require('../../utils/singleFlight');
+
+/**
+ * Quran Foundation provider
+ * Reads verses from the Quran Foundation content API. Handles the OAuth2
+ * client credentials flow; requests go through an UpstreamClient (retries,
+ * circuit breaker, coalescing).
+ */
+class QuranFoundationProvider {
+  constructor() {
+    this.name = 'qf';
+    this.clientId = process.env.QF_CLIENT_ID;
+    this.clientSecret = process.env.QF_CLIENT_SECRET;
+    this.environment = process.env.QF_ENV || 'prelive';
+
+    // Token cache; concurrent refreshes share one token request
+    this.accessToken = null;
+    this.tokenExpiry = null;
+    this.tokenFlight = createSingleFlight();
+
+    this.client = new UpstreamClient({
+      name: 'Quran Foundation API',
+      timeoutMs: parseInt(process.env.QF_TIMEOUT_MS) || 10000,
+      maxRetries: parseInt(process.env.QF_MAX_RETRIES) >= 0 ? parseInt(process.env.QF_MAX_RETRIES) : 3,
+    });
+
+    // Environment-specific URLs
+    this.authUrl = this.getAuthUrl();
+    this.apiBaseUrl = this.getApiBaseUrl();
+  }
+
+  /**
+   * Get OAuth2 authentication URL based on environment
+   * @returns {string} Auth URL
+   */
+  getAuthUrl() {
+    return this.environment === 'production'
+      ? 'https://oauth2.quran.foundation'
+      : 'https://prelive-oauth2.quran.foundation';
+  }
+
+  /**
+   * Get API base URL based on environment
+   * @returns {string} API base URL
+   */
+  getApiBaseUrl() {
+    return this.environment === 'production'
+      ? 'https://apis.quran.foundation'
+      : 'https://apis-prelive.quran.foundation';
+  }
+
+  /**
+   * Check if the cached token is valid
+   * @returns {boolean} True if token is valid and not expiring soon
+   */
+  isTokenValid() {
+    if (!this.accessToken || !this.tokenExpiry) {
+      return false;
+    }
+
+    // Consider token invalid if expiring in less than 30 seconds
+    const now = Date.now();
+    const expiryBuffer = 30 * 1000; // 30 seconds in milliseconds
+
+    return this.tokenExpiry - now > expiryBuffer;
+  }
+
+  /**
+   * Obtain a new access token using OAuth2 client credentials flow
+   * @returns {Promise<string>} Access token
+   */
+  async getAccessToken() {
+    try {
+      const tokenUrl = `${this.authUrl}/oauth2/token`;
+
+      const params = new URLSearchParams();
+      params.append('grant_type', 'client_credentials');
+      params.append('scope', 'content');
+
+      const authHeader = Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64');
+
+      const response = await this.client.post(tokenUrl, params, {
+        headers: {
+          'Authorization': `Basic ${authHeader}`,
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+      });
+
+      const { access_token, expires_in } = response.data;
+
+      // Cache the token and calculate expiry time
+      this.accessToken = access_token;
+      this.tokenExpiry = Date.now() + expires_in * 1000;
+
+      console.log(`✅ New access token obtained (expires in ${expires_in}s)`);
+      return access_token;
+    } catch (error) {
+      console.error('❌ Error obtaining access token:', error.message);
+      throw new UpstreamError('Failed to authenticate with Quran Foundation API', error.statusCode || 502, {
+        upstreamStatus: error.upstreamStatus,
+        retryAfter: error.retryAfter,
+      });
+    }
+  }
+
+  /**
+   * Ensure we have a valid access token
+   * @returns {Promise<string>} Valid access token
+   */
+  async ensureValidToken() {
+    if (!this.isTokenValid()) {
+      return this.tokenFlight('token', () => this.getAccessToken());
+    }
+    return this.accessToken;
+  }
+
+  /**
+   * GET a content API endpoint with the access token
+   * A rejected token (revoked or expired early) is replaced and the request retried once
+   * @param {string} path - Path below the API base URL
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Object>} Response body
+   */
+  async apiGet(path, params) {
+    for (let attempt = 0; ; attempt++) {
+      const token = await this.ensureValidToken();
+      try {
+        const response = await this.client.get(`${this.apiBaseUrl}${path}`, {
+          params,
+          headers: {
+            'x-auth-token': token,
+            'x-client-id': this.clientId,
+            'Content-Type': 'application/json',
+          },
+        });
+        return response.data;
+      } catch (error) {
+        if (error.upstreamStatus !== 401 || attempt > 0) {
+          throw error;
+        }
+        if (this.accessToken === token) {
+          this.accessToken = null;
+        }
+      }
+    }
+  }
+
+  /**
+   * Search for verses containing a word
+   * @param {string} query - Arabic word
+   * @param {Object} options - { size, page }
+   * @returns {Promise<Object>} { results: [{ verse_key }], pagination } (pagination may be null)
+   */
+  async search(query, { size, page }) {
+    const data = await this.apiGet('/content/api/v4/search', {
+      q: query,
+      size: size,
+      page: page,
+      language: 'en'
+    });
+
+    return {
+      results: data.search ? data.search.results : [],
+      pagination: data.search ? data.search.pagination : null,
+    };
+  }
+
+  /**
+   * Get a verse with its words and translations
+   * @param {string} verseKey - Verse reference (e.g., "2:255")
+   * @param {string} translationIds - Comma-separated translation IDs
+   * @returns {Promise<Object>} { verse }, as returned by verses/by_key
+   */
+  getVerse(verseKey, translationIds) {
+    // Pass comma-separated translation IDs directly to the API
+    return this.apiGet(`/content/api/v4/verses/by_key/${verseKey}`, {
+      language: 'en',
+      words: true,
+      translations: translationIds, // API supports comma-separated IDs!
+      fields: 'text_uthmani,text_indopak',
+      // Lets verse words be matched against the vocabulary
+      word_fields: 'text_uthmani'
+    });
+  }
+
+  /**
+   * Get one page of the verses of a chapter, with words and translations
+   * @param {number} chapter - Chapter number
+   * @param {Object} options - { page, perPage } (at most 50 per page)
+   * @param {string} translationIds - Comma-separated translation IDs
+   * @returns {Promise<Array>} Verses in reading order, shaped like verses/by_key verses
+   */
+  async getChapterVerses(chapter, { page, perPage }, translationIds) {
+    const data = await this.apiGet(`/content/api/v4/verses/by_chapter/${chapter}`, {
+      language: 'en',
+      words: true,
+      translations: translationIds,
+      fields: 'text_uthmani,text_indopak',
+      word_fields: 'text_uthmani',
+      page: page,
+      per_page: perPage
+    });
+    return data.verses || [];
+  }
+
+  /**
+   * List the chapters
+   * @returns {Promise<Array>} Chapters ({ id, name_simple, name_arabic, verses_count, ... })
+   */
+  async getChapters() {
+    const data = await this.apiGet('/content/api/v4/chapters', { language: 'en' });
+    return data.chapters || [];
+  }
+
+  /**
+   * List the available translations
+   * @returns {Promise<Array>} Translations ({ id, name, author_name, language_name, ... })
+   */
+  async getTranslations() {
+    const data = await this.apiGet('/content/api/v4/resources/translations', { language: 'en' });
+    return data.translations || [];
+  }
+
+  /**
+   * List the available recitations
+   * @returns {Promise<Array>} Recitations ({ id, reciter_name, style, ... })
+   */
+  async getRecitations() {
+    const data = await this.apiGet('/content/api/v4/resources/recitations', { language: 'en' });
+    return data.recitations || [];
+  }
+
+  /**
+   * Check that the API can be reached by obtaining a token
+   * @returns {Promise<Object>} Connection details
+   */
+  async checkHealth() {
+    await this.ensureValidToken();
+    return {
+      environment: this.environment,
+      authUrl: this.authUrl,
+      apiBaseUrl: this.apiBaseUrl,
+    };
+  }
+
+  /**
+   * Get the state of the upstream connection for health checks
+   * @returns {Object} { circuit, tokenValid }
+   */
+  getStatus() {
+    return {
+      circuit: this.client.getCircuit(),
+      tokenValid: this.isTokenValid(),
+    };
+  }
+}
+
+module.exports = QuranFoundationProvider;
@@ -0,0 +1,135 @@
+const Word = require('../models/Word');
+const UserWord = require('../models/UserWord');
+
+/**
+ * How each question kind is built from a word:
+ * the prompt field shown to the user and the field used for the options
+ */
+const KIND_FIELDS = {
+  'arabic-to-meaning': { prompt: 'arabic', answer: 'translation' },
+  'meaning-to-arabic': { prompt: 'translation', answer: 'arabic' },
+  'transliteration-to-arabic': { prompt: 'transliteration', answer: 'arabic' },
+};
+
+/**
+ * Quiz Service
+ * Builds multiple-choice questions with plausible distractors from the Word collection
+ */
+class QuizService {
+  /**
+   * Shuffle an array in place (Fisher-Yates)
+   * @param {Array} items - Items to shuffle
+   * @returns {Array} The shuffled array
+   */
+  shuffle(items) {
+    for (let i = items.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+  }
+
+  /**
+   * Pick random words to quiz the user on
+   * @param {User} user - User document
+   * @param {string} source - 'learned', 'unlearned' or 'all'
+   * @param {number} count - Number of words
+   * @returns {Promise<Array>} Sampled words
+   */
+  async pickWords(user, source, count) {
+    if (source === 'learned') {
+      const wordIds = await UserWord.aggregate([
+        { $match: { user: user._id } },
+        { $sample: { size: count } },
+      ]);
+      return Word.find({ id: { $in: wordIds.map((entry) => entry.wordId) } }).lean();
+    }
+
+    const stages = source === 'unlearned' ? Word.notLearnedByStages(user._id) : [];
+    return Word.aggregate([...stages, { $sample: { size: count } }]);
+  }
+
+  /**
+   * Find distractor values for a word
+   * Prefers words of the same type in the same frequency band, then widens
+   * to the same type, then to any word, until enough distinct values are found
+   * @param {Object} word - The word being asked about
+   * @param {string} field - Field the options are taken from
+   * @param {number} count - Number of distractors needed
+   * @returns {Promise<Array<string>>} Distinct distractor values
+   */
+  async pickDistractors(word, field, count) {
+    const band = Word.getFrequencyBand(word.frequency);
+    const frequency = { $gte: band.min };
+    if (band.max !== null) frequency.$lte = band.max;
+
+    const filters = [
+      { type: word.type, frequency },
+      { type: word.type },
+      {},
+    ];
+
+    const values = new Set();
+    const correct = word[field];
+
+    for (const filter of filters) {
+      const candidates = await Word.aggregate([
+        { $match: { ...filter, id: { $ne: word.id }, [field]: { $ne: correct } } },
+        { $sample: { size: count * 3 } },
+        { $project: { [field]: 1 } },
+      ]);
+
+      for (const candidate of candidates) {
+        if (candidate[field]) values.add(candidate[field]);
+        if (values.size === count) return [...values];
+      }
+    }
+
+    return [...values];
+  }
+
+  /**
+   * Build a multiple-choice question for a word
+   * @param {Object} word - The word being asked about
+   * @param {string} kind - Question kind (see Quiz.QUESTION_KINDS)
+   * @param {number} optionsCount - Total number of options including the answer
+   * @returns {Promise<Object>} Question with shuffled options and the correct index
+   */
+  async buildQuestion(word, kind, optionsCount) {
+    const fields = KIND_FIELDS[kind];
+    const answer = word[fields.answer];
+    const distractors = await this.pickDistractors(word, fields.answer, optionsCount - 1);
+    const options = this.shuffle([answer, ...distractors]);
+
+    return {
+      wordId: word.id,
+      kind,
+      prompt: word[fields.prompt],
+      options,
+      correctIndex: options.indexOf(answer),
+    };
+  }
+
+  /**
+   * Build a full set of questions for a user
+   * @param {User} user - User document
+   * @param {Object} options - Quiz options
+   * @param {string} options.source - Which words to draw from
+   * @param {number} options.count - Number of questions
+   * @param {Array<string>} options.kinds - Question kinds to rotate through
+   * @param {number} options.optionsCount - Options per question
+   * @returns {Promise<Array>} Questions
+   */
+  async buildQuestions(user, { source, count, kinds, optionsCount }) {
+    const words = await this.pickWords(user, source, count);
+
+    return Promise.all(
+      words.map((word) =>
+        this.buildQuestion(word, kinds[Math.floor(Math.random() * kinds.length)], optionsCount)
+      )
+    );
+  }
+}
+
+// Export a singleton instance
+module.exports = new QuizService();
@@ -1,160 +1,80 @@
-const axios = require('axios');
-const NodeCache = require('node-cache');
+const cacheService = require('./cacheService');
+const { UpstreamError } = require('./upstreamClient');
+const QuranFoundationProvider = require('./providers/qfProvider');
+const LocalQuranProvider = require('./providers/localProvider');
+const { QURAN_PROVIDERS, QURAN_PROVIDER, QURAN_LOCAL_FILE } = require('../config/quran');
+const { DEFAULT_TRANSLATION_IDS } = require('../config/languages');
+const { getVerseCount, getVerseKeys } = require('../utils/verseReference');
+
+// Verses of a range fetched at once, to spare the provider bursts of requests
+const RANGE_BATCH_SIZE = 10;
+
+const PROVIDERS = {
+  qf: () => new QuranFoundationProvider(),
+  local: () => new LocalQuranProvider(QURAN_LOCAL_FILE),
+};
 
 /**
- * Quran Foundation API Service
- * Handles OAuth2 client credentials flow and API requests with caching
+ * Quran Service
+ * Serves verses from the configured content provider (see config/quran):
+ * the Quran Foundation API or a local file. Responses are cached per endpoint
+ * by cacheService (see config/cache for the TTLs), keyed by provider so
+ * switching providers never serves the other's entries.
  */
 class QuranService {
   constructor() {
-    this.clientId = process.env.QF_CLIENT_ID;
-    this.clientSecret = process.env.QF_CLIENT_SECRET;
-    this.environment = process.env.QF_ENV || 'prelive';
-
-    // Token cache
-    this.accessToken = null;
-    this.tokenExpiry = null;
-
-    // Verse cache - TTL: 24 hours (86400 seconds)
-    // This prevents hitting rate limits by caching verse data
-    this.verseCache = new NodeCache({ 
-      stdTTL: 86400,           // 24 hours
-      checkperiod: 3600,       // Check for expired keys every hour
-      useClones: false         // Better performance
-    });
-
-    // Environment-specific URLs
-    this.authUrl = this.getAuthUrl();
-    this.apiBaseUrl = this.getApiBaseUrl();
-
-    console.log(`✅ Quran Service initialized (Environment: ${this.environment})`);
-    console.log(`📦 Cache enabled: 24-hour TTL for verse data`);
-  }
-
-  /**
-   * Get OAuth2 authentication URL based on environment
-   * @returns {string} Auth URL
-   */
-  getAuthUrl() {
-    return this.environment === 'production'
-      ? 'https://oauth2.quran.foundation'
-      : 'https://prelive-oauth2.quran.foundation';
-  }
-
-  /**
-   * Get API base URL based on environment
-   * @returns {string} API base URL
-   */
-  getApiBaseUrl() {
-    return this.environment === 'production'
-      ? 'https://apis.quran.foundation'
-      : 'https://apis-prelive.quran.foundation';
-  }
-
-  /**
-   * Check if the cached token is valid
-   * @returns {boolean} True if token is valid and not expiring soon
-   */
-  isTokenValid() {
-    if (!this.accessToken || !this.tokenExpiry) {
-      return false;
+    if (!QURAN_PROVIDERS.includes(QURAN_PROVIDER)) {
+      console.warn(`⚠️  Unknown QURAN_PROVIDER "${QURAN_PROVIDER}", using qf`);
     }
+    this.provider = (PROVIDERS[QURAN_PROVIDER] || PROVIDERS.qf)();
 
-    // Consider token invalid if expiring in less than 30 seconds
-    const now = Date.now();
-    const expiryBuffer = 30 * 1000; // 30 seconds in milliseconds
-
-    return this.tokenExpiry - now > expiryBuffer;
+    console.log(`✅ Quran Service initialized (Provider: ${this.provider.name})`);
   }
 
   /**
-   * Obtain a new access token using OAuth2 client credentials flow
-   * @returns {Promise<string>} Access token
+   * Check that the provider can serve verses
+   * @returns {Promise<Object>} Provider details (e.g. environment and URLs for qf)
    */
-  async getAccessToken() {
-    try {
-      const tokenUrl = `${this.authUrl}/oauth2/token`;
-      
-      const params = new URLSearchParams();
-      params.append('grant_type', 'client_credentials');
-      params.append('scope', 'content');
-
-      const authHeader = Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64');
-
-      const response = await axios.post(tokenUrl, params, {
-        headers: {
-          'Authorization': `Basic ${authHeader}`,
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-      });
-
-      const { access_token, expires_in } = response.data;
-
-      // Cache the token and calculate expiry time
-      this.accessToken = access_token;
-      this.tokenExpiry = Date.now() + expires_in * 1000;
-
-      console.log(`✅ New access token obtained (expires in ${expires_in}s)`);
-      return access_token;
-    } catch (error) {
-      console.error('❌ Error obtaining access token:', error.response?.data || error.message);
-      throw new Error('Failed to authenticate with Quran Foundation API');
-    }
+  checkHealth() {
+    return this.provider.checkHealth();
   }
 
   /**
-   * Ensure we have a valid access token
-   * @returns {Promise<string>} Valid access token
+   * Get the state of the provider for health checks
+   * @returns {Object} { provider, ... } (circuit and tokenValid for qf)
    */
-  async ensureValidToken() {
-    if (!this.isTokenValid()) {
-      return await this.getAccessToken();
-    }
-    return this.accessToken;
+  getStatus() {
+    return { provider: this.provider.name, ...this.provider.getStatus() };
   }
 
   /**
    * Search for verses containing a specific Arabic word
    * @param {string} arabicWord - The Arabic word to search for
    * @param {number} size - Number of results to return (default: 2)
-   * @param {string} translationIds - Comma-separated translation IDs (default: "161,131" for Bengali + English)
+   * @param {string} translationIds - Comma-separated translation IDs (default: "161,131" for Bengali + English, see config/languages)
    * @param {number} page - Page number for pagination (default: 1)
    * @returns {Promise<Object>} Search results with verses
    */
-  async getVerses(arabicWord, size = 2, translationIds = '161,131', page = 1) {
-    // Create unique cache key
-    const cacheKey = `verses:${arabicWord}:${size}:${translationIds}:${page}`;
-    
-    // Check cache first
-    const cachedData = this.verseCache.get(cacheKey);
-    if (cachedData) {
-      console.log(`📦 Cache HIT for: ${arabicWord} (page ${page})`);
-      return cachedData;
-    }
-    
-    console.log(`🔍 Cache MISS - Fetching verses for: ${arabicWord}, size: ${size}, translations: ${translationIds}, page: ${page}`);
-    try {
-      const token = await this.ensureValidToken();
+  getVerses(arabicWord, size = 2, translationIds = DEFAULT_TRANSLATION_IDS, page = 1) {
+    return cacheService.wrap('verses', `${this.provider.name}:${arabicWord}:${size}:${translationIds}:${page}`, () =>
+      this.fetchVerses(arabicWord, size, translationIds, page)
+    );
+  }
 
+  /**
+   * Fetch verses containing a word from the provider, bypassing the cache
+   * @param {string} arabicWord - The Arabic word to search for
+   * @param {number} size - Number of results to return
+   * @param {string} translationIds - Comma-separated translation IDs
+   * @param {number} page - Page number for pagination
+   * @returns {Promise<Object>} Search results with verses
+   */
+  async fetchVerses(arabicWord, size, translationIds, page) {
+    console.log(`🔍 Fetching verses for: ${arabicWord}, size: ${size}, translations: ${translationIds}, page: ${page}`);
+    try {
       // 1. Search for the word to get Verse Keys
-      const searchUrl = `${this.apiBaseUrl}/content/api/v4/search`;
-      const searchResponse = await axios.get(searchUrl, {
-        params: {
-          q: arabicWord,
-          size: size,
-          page: page,
-          language: 'en'
-        },
-        headers: {
-          'x-auth-token': token,
-          'x-client-id': this.clientId,
-          'Content-Type': 'application/json',
-        },
-      });
+      const { results: searchResults, pagination } = await this.provider.search(arabicWord, { size, page });
 
-      const searchResults = searchResponse.data.search ? searchResponse.data.search.results : [];
-      const pagination = searchResponse.data.search ? searchResponse.data.search.pagination : null;
-      
       if (!searchResults.length) {
         return { 
           success: true, 
@@ -164,116 +84,209 @@ class QuranService {
         };
       }
 
-      // 2. Fetch full details (with translations) for each verse found
-      const detailedVerses = await Promise.all(
+      // 2. Fetch full details (with translations) for each verse found, through
+      // the verse cache. A verse that cannot be fetched fails the whole result,
+      // so incomplete results are never cached
+      const verses = await Promise.all(
         searchResults.map(async (result) => {
-          try {
-            const verseKey = result.verse_key;
-            const detailsUrl = `${this.apiBaseUrl}/content/api/v4/verses/by_key/${verseKey}`;
-            
-            // Pass comma-separated translation IDs directly to the API
-            const detailsResponse = await axios.get(detailsUrl, {
-              params: {
-                language: 'en',
-                words: true,
-                translations: translationIds, // API supports comma-separated IDs!
-                fields: 'text_uthmani,text_indopak'
-              },
-              headers: {
-                'x-auth-token': token,
-                'x-client-id': this.clientId,
-              }
-            });
-            return detailsResponse.data.verse;
-          } catch (err) {
-            console.error(`Error fetching details for ${result.verse_key}:`, err.message);
-            return null; // Skip failed ones
-          }
+          const details = await this.getVerseDetails(result.verse_key, translationIds);
+          return details.data.verse;
         })
       );
 
-      // Filter out nulls
-      const validVerses = detailedVerses.filter(v => v !== null);
-
       // Return in a structure mimicking the search response for frontend compatibility
-      const result = {
+      return {
         success: true,
         data: {
           search: {
-            results: validVerses
+            results: verses
           }
         },
         query: arabicWord,
-        pagination: pagination || { current_page: page, total_pages: 1, total_records: validVerses.length },
+        pagination: pagination || { current_page: page, total_pages: 1, total_records: verses.length },
       };
-      
-      // Store in cache
-      this.verseCache.set(cacheKey, result);
-      console.log(`💾 Cached result for: ${arabicWord} (page ${page})`);
-      
-      return result;
 
     } catch (error) {
       console.error('❌ Error in getVerses:', error.message);
-      // Simplify error handling for now to bubble up
-      throw new Error('Failed to fetch verses from Quran Foundation API');
+      throw error instanceof UpstreamError
+        ? error
+        : new UpstreamError('Failed to fetch verses');
     }
   }
 
+  /**
+   * Get the verses of one page of search results for ranking
+   * Unlike getVerses, a verse that cannot be fetched is left out instead of
+   * failing the page, so one bad candidate never costs the others
+   * @param {string} arabicWord - The Arabic word to search for
+   * @param {number} size - Number of results per page
+   * @param {string} translationIds - Comma-separated translation IDs (default: "161,131" for Bengali + English, see config/languages)
+   * @param {number} page - Page number for pagination (default: 1)
+   * @returns {Promise<Object>} { verses, skipped, pagination } with the search pagination
+   */
+  async getVerseCandidates(arabicWord, size, translationIds = DEFAULT_TRANSLATION_IDS, page = 1) {
+    const { results, pagination } = await cacheService.wrap(
+      'verses',
+      `${this.provider.name}:search:${arabicWord}:${size}:${page}`,
+      () => this.provider.search(arabicWord, { size, page })
+    );
+
+    const settled = await Promise.allSettled(
+      results.map((result) => this.getVerseDetails(result.verse_key, translationIds))
+    );
+    const verses = [];
+    const skipped = [];
+    settled.forEach((outcome, index) => {
+      if (outcome.status === 'fulfilled') {
+        verses.push(outcome.value.data.verse);
+      } else {
+        console.warn(`⚠️  Skipping candidate ${results[index].verse_key}:`, outcome.reason.message);
+        skipped.push(results[index].verse_key);
+      }
+    });
+
+    return {
+      verses,
+      skipped,
+      pagination: pagination || { current_page: page, total_pages: results.length ? 1 : 0, total_records: results.length },
+    };
+  }
+
   /**
    * Get detailed verse information by reference
    * @param {string} verseRef - Verse reference (e.g., "2:255")
-   * @param {string} translationIds - Comma-separated translation IDs (default: "161,131" for Bengali + English)
+   * @param {string} translationIds - Comma-separated translation IDs (default: "161,131" for Bengali + English, see config/languages)
    * @returns {Promise<Object>} Verse details
    */
-  async getVerseDetails(verseRef, translationIds = '161,131') {
-    // Create unique cache key
-    const cacheKey = `verse:${verseRef}:${translationIds}`;
-    
-    // Check cache first
-    const cachedData = this.verseCache.get(cacheKey);
-    if (cachedData) {
-      console.log(`📦 Cache HIT for verse: ${verseRef}`);
-      return cachedData;
-    }
-    
-    
-    console.log(`🔍 Cache MISS - Fetching verse details for: ${verseRef}, translations: ${translationIds}`);
-    try {
-      const token = await this.ensureValidToken();
-      const verseUrl = `${this.apiBaseUrl}/content/api/v4/verses/by_key/${verseRef}`;
+  getVerseDetails(verseRef, translationIds = DEFAULT_TRANSLATION_IDS) {
+    return cacheService.wrap('verse', `${this.provider.name}:${verseRef}:${translationIds}`, () =>
+      this.fetchVerseDetails(verseRef, translationIds)
+    );
+  }
 
-      // Pass comma-separated translation IDs directly to the API
-      const response = await axios.get(verseUrl, {
-        params: {
-          language: 'en',
-          words: true,
-          translations: translationIds, // API supports comma-separated IDs!
-          fields: 'text_uthmani,text_indopak'
-        },
-        headers: {
-          'x-auth-token': token,
-          'x-client-id': this.clientId,
-          'Content-Type': 'application/json',
-        },
-      });
+  /**
+   * Fetch a verse from the provider, bypassing the cache
+   * @param {string} verseRef - Verse reference (e.g., "2:255")
+   * @param {string} translationIds - Comma-separated translation IDs
+   * @returns {Promise<Object>} Verse details
+   */
+  async fetchVerseDetails(verseRef, translationIds) {
+    console.log(`🔍 Fetching verse details for: ${verseRef}, translations: ${translationIds}`);
+    try {
+      const data = await this.provider.getVerse(verseRef, translationIds);
 
-      console.log(`✅ Fetched verse with ${response.data.verse.translations?.length || 0} translations`);
+      console.log(`✅ Fetched verse with ${data.verse.translations?.length || 0} translations`);
 
-      const result = {
+      return {
         success: true,
-        data: response.data,
+        data,
       };
-      
-      // Store in cache
-      this.verseCache.set(cacheKey, result);
-      console.log(`💾 Cached verse: ${verseRef}`);
-      
-      return result;
     } catch (error) {
-      console.error('❌ Error fetching verse details:', error.response?.data || error.message);
-      throw new Error('Failed to fetch verse details');
+      console.error('❌ Error fetching verse details:', error.message);
+      throw error instanceof UpstreamError ? error : new UpstreamError('Failed to fetch verse details');
+    }
+  }
+
+  /**
+   * Get consecutive verses of a chapter
+   * Each verse goes through the verse cache, so ranges share entries with
+   * single verse requests
+   * @param {number} chapter - Chapter number
+   * @param {number} from - First verse
+   * @param {number} to - Last verse (inclusive, within the chapter)
+   * @param {string} translationIds - Comma-separated translation IDs (default: "161,131" for Bengali + English, see config/languages)
+   * @returns {Promise<Array>} Verses in reading order
+   */
+  async getVerseRange(chapter, from, to, translationIds = DEFAULT_TRANSLATION_IDS) {
+    const keys = getVerseKeys(chapter, from, to);
+    const verses = [];
+
+    for (let i = 0; i < keys.length; i += RANGE_BATCH_SIZE) {
+      const batch = await Promise.all(
+        keys.slice(i, i + RANGE_BATCH_SIZE).map(async (key) => {
+          const details = await this.getVerseDetails(key, translationIds);
+          return details.data.verse;
+        })
+      );
+      verses.push(...batch);
+    }
+    return verses;
+  }
+
+  /**
+   * Get one page of the verses of a chapter
+   * Providers that page chapters themselves (qf) serve a page with one
+   * request; others fetch the page's verses one by one (see getVerseRange)
+   * @param {number} chapter - Chapter number
+   * @param {number} page - Page number
+   * @param {number} perPage - Verses per page
+   * @param {string} translationIds - Comma-separated translation IDs (default: "161,131" for Bengali + English, see config/languages)
+   * @returns {Promise<Array>} Verses in reading order (empty past the last page)
+   */
+  async getChapterVerses(chapter, page, perPage, translationIds = DEFAULT_TRANSLATION_IDS) {
+    const from = (page - 1) * perPage + 1;
+    const to = Math.min(page * perPage, getVerseCount(chapter));
+    if (from > to) {
+      return [];
+    }
+
+    if (typeof this.provider.getChapterVerses !== 'function') {
+      return this.getVerseRange(chapter, from, to, translationIds);
+    }
+
+    return cacheService.wrap('verse', `${this.provider.name}:chapter:${chapter}:${page}:${perPage}:${translationIds}`, async () => {
+      console.log(`🔍 Fetching chapter ${chapter}, page: ${page}, per page: ${perPage}, translations: ${translationIds}`);
+      try {
+        return await this.provider.getChapterVerses(chapter, { page, perPage }, translationIds);
+      } catch (error) {
+        console.error('❌ Error fetching chapter verses:', error.message);
+        throw error instanceof UpstreamError ? error : new UpstreamError('Failed to fetch chapter verses');
+      }
+    });
+  }
+
+  /**
+   * List the chapters with their names and verse counts
+   * @returns {Promise<Array>} Chapters ({ id, name_simple, verses_count, ... })
+   */
+  getChapters() {
+    return cacheService.wrap('resources', `${this.provider.name}:chapters`, () => this.provider.getChapters());
+  }
+
+  /**
+   * List the translations the provider offers
+   * @returns {Promise<Array>} Translations ({ id, name, author_name, language_name, ... })
+   */
+  getTranslations() {
+    return cacheService.wrap('resources', `${this.provider.name}:translations`, () => this.provider.getTranslations());
+  }
+
+  /**
+   * List the recitations the provider offers
+   * @returns {Promise<Array>} Recitations ({ id, reciter_name, style, ... })
+   */
+  getRecitations() {
+    return cacheService.wrap('resources', `${this.provider.name}:recitations`, () => this.provider.getRecitations());
+  }
+
+  /**
+   * Find translation IDs the provider does not offer
+   * If the catalog cannot be loaded the IDs are let through, so an outage of
+   * the catalog never blocks verse requests
+   * @param {string} translationIds - Comma-separated translation IDs
+   * @returns {Promise<Array<string>>} Unknown IDs (empty if all are known)
+   */
+  async findUnknownTranslationIds(translationIds) {
+    let translations;
+    try {
+      translations = await this.getTranslations();
+    } catch (error) {
+      console.warn('⚠️  Translation catalog unavailable, skipping validation:', error.message);
+      return [];
     }
+
+    const known = new Set(translations.map((translation) => String(translation.id)));
+    return translationIds.split(',').filter((id) => !known.has(id));
   }
 }
 
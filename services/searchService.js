@@ -0,0 +1,124 @@
+const Word = require('../models/Word');
+const { normalizeArabic } = require('../utils/arabic');
+const { foldLatin, tokenizeText, escapeRegExp } = require('../utils/search');
+
+// Candidates fetched from the database before ranking
+const MAX_CANDIDATES = 500;
+
+// Match quality scores; the best match across all fields wins
+const SCORES = {
+  arabicExact: 100,
+  transliterationExact: 90,
+  arabicPrefix: 80,
+  transliterationPrefix: 70,
+  tokensExact: 60,
+  arabicContains: 50,
+  tokensPrefix: 45,
+  transliterationContains: 40,
+};
+
+/**
+ * Search Service
+ * Diacritic-insensitive search over the normalized shadow fields of words,
+ * ranked by match quality, then by frequency
+ */
+class SearchService {
+  /**
+   * Normalize a raw query into the forms each shadow field is matched on
+   * @param {string} query - User input
+   * @returns {Object} { arabic, latin, tokens }
+   */
+  parseQuery(query) {
+    const arabic = normalizeArabic(query);
+
+    // Arabic input is only matched against Arabic
+    if (arabic) {
+      return { arabic, latin: '', tokens: [] };
+    }
+
+    return { arabic: '', latin: foldLatin(query), tokens: tokenizeText(query) };
+  }
+
+  /**
+   * Score how well a word matches a parsed query
+   * @param {Object} word - Lean word document
+   * @param {Object} parsed - Parsed query
+   * @returns {Object} { score, matchedOn }
+   */
+  scoreWord(word, { arabic, latin, tokens }) {
+    const matches = [];
+
+    if (arabic && word.arabicNormalized) {
+      if (word.arabicNormalized === arabic) matches.push(['arabicExact', 'arabic']);
+      else if (word.arabicNormalized.startsWith(arabic)) matches.push(['arabicPrefix', 'arabic']);
+      else if (word.arabicNormalized.includes(arabic)) matches.push(['arabicContains', 'arabic']);
+    }
+
+    if (latin && word.transliterationFolded) {
+      if (word.transliterationFolded === latin) matches.push(['transliterationExact', 'transliteration']);
+      else if (word.transliterationFolded.startsWith(latin)) matches.push(['transliterationPrefix', 'transliteration']);
+      else if (word.transliterationFolded.includes(latin)) matches.push(['transliterationContains', 'transliteration']);
+    }
+
+    if (tokens.length > 0 && word.searchTokens) {
+      const wordTokens = new Set(word.searchTokens);
+      if (tokens.every((token) => wordTokens.has(token))) {
+        matches.push(['tokensExact', 'translation']);
+      } else if (tokens.every((token) => word.searchTokens.some((t) => t.startsWith(token)))) {
+        matches.push(['tokensPrefix', 'translation']);
+      }
+    }
+
+    if (matches.length === 0) {
+      return { score: 0, matchedOn: null };
+    }
+
+    const [kind, matchedOn] = matches.reduce((best, match) =>
+      SCORES[match[0]] > SCORES[best[0]] ? match : best
+    );
+    return { score: SCORES[kind], matchedOn };
+  }
+
+  /**
+   * Search words
+   * User input is only ever used as an escaped literal inside a pattern
+   * @param {string} query - User input
+   * @param {number} limit - Maximum number of results
+   * @returns {Promise<Array>} Ranked words with searchScore and matchedOn
+   */
+  async search(query, limit = 20) {
+    const parsed = this.parseQuery(query);
+    const conditions = [];
+
+    if (parsed.arabic) {
+      conditions.push({ arabicNormalized: { $regex: escapeRegExp(parsed.arabic) } });
+    }
+    if (parsed.latin) {
+      conditions.push({ transliterationFolded: { $regex: escapeRegExp(parsed.latin) } });
+    }
+    if (parsed.tokens.length > 0) {
+      conditions.push({
+        searchTokens: { $all: parsed.tokens.map((token) => new RegExp(`^${escapeRegExp(token)}`)) },
+      });
+    }
+
+    if (conditions.length === 0) {
+      return [];
+    }
+
+    const candidates = await Word.find({ $or: conditions })
+      .sort({ frequency: -1, id: 1 })
+      .limit(MAX_CANDIDATES)
+      .lean();
+
+    return candidates
+      .map((word) => ({ ...word, ...this.scoreWord(word, parsed) }))
+      .filter((word) => word.score > 0)
+      .sort((a, b) => b.score - a.score || b.frequency - a.frequency || a.id - b.id)
+      .slice(0, limit)
+      .map(({ score, ...word }) => ({ ...word, searchScore: score }));
+  }
+}
+
+// Export a singleton instance
+module.exports = new SearchService();
@@ -0,0 +1,230 @@
+const Word = require('../models/Word');
+const User = require('../models/User');
+const UserWord = require('../models/UserWord');
+const Review = require('../models/Review');
+const ProgressEvent = require('../models/ProgressEvent');
+
+// Client timestamps further in the future than this are clamped to now
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const SYNC_OPS = ['learn', 'unlearn'];
+
+/**
+ * Sync Service
+ * Merges offline learn/unlearn operations from clients with the server state
+ * (last writer wins per word) and computes the server delta since a cursor
+ */
+class SyncService {
+  /**
+   * Validate client operations and convert them to a canonical form
+   * A clientId repeated within the batch is rejected after its first valid use
+   * @param {Array<Object>} operations - Raw operations from the client
+   * @returns {Object} { valid, rejected }
+   */
+  normalizeOperations(operations) {
+    const valid = [];
+    const rejected = [];
+    const latestAllowed = Date.now() + MAX_CLOCK_SKEW_MS;
+    const seen = new Set();
+
+    for (const operation of operations) {
+      const clientId = operation && typeof operation.clientId === 'string'
+        ? operation.clientId.trim()
+        : '';
+      const wordId = parseInt(operation && operation.wordId);
+      const timestamp = new Date(operation && operation.timestamp);
+
+      if (!clientId) {
+        rejected.push({ clientId: null, reason: 'clientId is required' });
+      } else if (seen.has(clientId)) {
+        // Each operation is logged under its clientId, which must be unique
+        rejected.push({ clientId, reason: 'clientId is repeated in this batch' });
+      } else if (!SYNC_OPS.includes(operation.op)) {
+        rejected.push({ clientId, reason: `op must be one of: ${SYNC_OPS.join(', ')}` });
+      } else if (isNaN(wordId)) {
+        rejected.push({ clientId, reason: 'wordId must be a number' });
+      } else if (isNaN(timestamp.getTime())) {
+        rejected.push({ clientId, reason: 'timestamp must be a valid date' });
+      } else {
+        seen.add(clientId);
+        valid.push({
+          clientId,
+          op: operation.op,
+          wordId,
+          timestamp: new Date(Math.min(timestamp.getTime(), latestAllowed)),
+        });
+      }
+    }
+
+    return { valid, rejected };
+  }
+
+  /**
+   * Keep the last operation per word
+   * Operations are ordered by timestamp, then by clientId, so every replay of
+   * the same log picks the same winner
+   * @param {Array<Object>} operations - Normalized operations
+   * @returns {Object} { winners: Map<wordId, operation>, superseded: Array }
+   */
+  reduceOperations(operations) {
+    const ordered = [...operations].sort(
+      (a, b) => a.timestamp - b.timestamp || (a.clientId < b.clientId ? -1 : a.clientId > b.clientId ? 1 : 0)
+    );
+
+    const winners = new Map();
+    const superseded = [];
+    for (const operation of ordered) {
+      if (winners.has(operation.wordId)) {
+        superseded.push(winners.get(operation.wordId));
+      }
+      winners.set(operation.wordId, operation);
+    }
+
+    return { winners, superseded };
+  }
+
+  /**
+   * Get the latest known state of the given words on the server
+   * Words learned before the event log existed fall back to UserWord.learnedAt
+   * @param {ObjectId} userId - ID of the user
+   * @param {Array<number>} wordIds - Word IDs
+   * @returns {Promise<Map<number, Object>>} wordId → { learned, occurredAt }
+   */
+  async getServerStates(userId, wordIds) {
+    const [states, entries] = await Promise.all([
+      ProgressEvent.getLatestWordStates(userId, { wordIds }),
+      UserWord.find({ user: userId, wordId: { $in: wordIds } }).select('wordId learnedAt').lean(),
+    ]);
+
+    for (const entry of entries) {
+      if (!states.has(entry.wordId)) {
+        states.set(entry.wordId, { learned: true, occurredAt: entry.learnedAt });
+      }
+    }
+
+    return states;
+  }
+
+  /**
+   * Get the changes a client has not seen yet
+   * Without a cursor the full learned set is returned
+   * @param {User} user - User document
+   * @param {number|null} cursor - Last sequence number the client has seen
+   * @param {number} upToSeq - Current sequence number
+   * @param {Set<string>} ownClientIds - Operations sent in this request
+   * @returns {Promise<Object>} { full, changes }
+   */
+  async getDelta(user, cursor, upToSeq, ownClientIds) {
+    if (cursor === null) {
+      const entries = await UserWord.find({ user: user._id })
+        .select('wordId learnedAt')
+        .sort({ learnedAt: 1 })
+        .lean();
+
+      return {
+        full: true,
+        changes: entries.map((entry) => ({ wordId: entry.wordId, learned: true, at: entry.learnedAt })),
+      };
+    }
+
+    const states = await ProgressEvent.getLatestWordStates(user._id, {
+      afterSeq: cursor,
+      upToSeq,
+    });
+
+    const changes = [];
+    for (const [wordId, state] of states) {
+      // The client already knows about changes it sent itself
+      if (state.clientOpId && ownClientIds.has(state.clientOpId)) continue;
+      changes.push({ wordId, learned: state.learned, at: state.occurredAt });
+    }
+
+    return { full: false, changes };
+  }
+
+  /**
+   * Merge a client's operation log into the server state
+   * @param {User} user - User document
+   * @param {Object} payload - Sync request
+   * @param {number|null} payload.cursor - Last sequence number the client has seen
+   * @param {Array<Object>} payload.operations - Client operations
+   * @returns {Promise<Object>} Sync result with the new cursor and server delta
+   */
+  async sync(user, { cursor, operations }) {
+    const { valid, rejected } = this.normalizeOperations(operations);
+
+    // Operations applied by an earlier sync are acknowledged but skipped
+    const clientIds = valid.map((operation) => operation.clientId);
+    const duplicateIds = new Set(
+      await ProgressEvent.distinct('clientOpId', { user: user._id, clientOpId: { $in: clientIds } })
+    );
+    const fresh = valid.filter((operation) => !duplicateIds.has(operation.clientId));
+
+    const { winners, superseded } = this.reduceOperations(fresh);
+    const wordIds = [...winners.keys()];
+
+    const [words, serverStates] = await Promise.all([
+      Word.find({ id: { $in: wordIds } }).select('id frequency').lean(),
+      this.getServerStates(user._id, wordIds),
+    ]);
+    const wordById = new Map(words.map((word) => [word.id, word]));
+
+    const toApply = [];
+    for (const operation of winners.values()) {
+      const serverState = serverStates.get(operation.wordId);
+
+      if (!wordById.has(operation.wordId)) {
+        rejected.push({ clientId: operation.clientId, reason: 'Word not found' });
+      } else if (serverState && serverState.occurredAt >= operation.timestamp) {
+        // Server wins ties so that the result does not depend on arrival order
+        superseded.push(operation);
+      } else {
+        toApply.push(operation);
+      }
+    }
+
+    const learnOps = toApply.filter((operation) => operation.op === 'learn');
+    const unlearnOps = toApply.filter((operation) => operation.op === 'unlearn');
+
+    const { addedIds } = await user.learnWords(
+      learnOps.map((operation) => wordById.get(operation.wordId)),
+      'sync',
+      new Map(learnOps.map((operation) => [operation.wordId, operation.timestamp]))
+    );
+    const { removedIds, totalFrequencyKnown } = await user.unlearnWords(
+      unlearnOps.map((operation) => wordById.get(operation.wordId))
+    );
+
+    await Review.scheduleForWords(user._id, addedIds);
+    if (removedIds.length > 0) {
+      await Review.removeForWords(user._id, removedIds);
+    }
+
+    await ProgressEvent.recordMany(
+      user._id,
+      toApply.map((operation) => ({
+        type: operation.op,
+        wordIds: [operation.wordId],
+        occurredAt: operation.timestamp,
+        clientOpId: operation.clientId,
+      }))
+    );
+
+    const { syncSeq } = await User.findById(user._id).select('syncSeq').lean();
+    const delta = await this.getDelta(user, cursor, syncSeq, new Set(clientIds));
+
+    return {
+      cursor: syncSeq,
+      applied: toApply.map((operation) => operation.clientId),
+      duplicates: [...duplicateIds],
+      superseded: superseded.map((operation) => operation.clientId),
+      rejected,
+      ...delta,
+      totalWordsLearned: await user.countLearnedWords(),
+      totalFrequencyKnown,
+    };
+  }
+}
+
+// Export a singleton instance
+module.exports = new SyncService();
@@ -0,0 +1,239 @@
+const axios = require('axios');
+const { createSingleFlight } = require('../utils/singleFlight');
+
+// Statuses worth retrying: timeouts, rate limits and server errors
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Error from an upstream API, carrying the status to respond with
+ */
+class UpstreamError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} statusCode - Status to respond with (502 upstream failure, 503 unavailable)
+   * @param {Object} details - { upstreamStatus, retryAfter } (retryAfter in seconds)
+   */
+  constructor(message, statusCode = 502, { upstreamStatus = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.statusCode = statusCode;
+    this.upstreamStatus = upstreamStatus;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date)
+ * @param {string} header - Header value
+ * @returns {number|null} Delay in milliseconds, or null if absent or invalid
+ */
+const parseRetryAfter = (header) => {
+  if (!header) {
+    return null;
+  }
+  if (/^\d+$/.test(header.trim())) {
+    return parseInt(header) * 1000;
+  }
+  const date = Date.parse(header);
+  return isNaN(date) ? null : Math.max(date - Date.now(), 0);
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Upstream Client
+ * HTTP client for one upstream API with:
+ * - retries with exponential backoff and jitter, honouring Retry-After
+ * - a circuit breaker that fails fast after repeated failures, letting one
+ *   trial request through once the cooldown has passed
+ * - single-flight coalescing of identical in-flight GET requests
+ */
+class UpstreamClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.name - Name used in logs and errors
+   * @param {number} options.timeoutMs - Per-attempt timeout
+   * @param {number} options.maxRetries - Retries after the first attempt
+   * @param {number} options.baseDelayMs - First backoff delay, doubled per retry
+   * @param {number} options.maxDelayMs - Longest wait between attempts; a longer
+   *   Retry-After gives up instead
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+   * @param {number} options.cooldownMs - How long the circuit stays open
+   */
+  constructor({
+    name,
+    timeoutMs = 10000,
+    maxRetries = 3,
+    baseDelayMs = 300,
+    maxDelayMs = 10000,
+    failureThreshold = 5,
+    cooldownMs = 30000,
+  }) {
+    this.name = name;
+    this.timeoutMs = timeoutMs;
+    this.maxRetries = maxRetries;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+
+    // Circuit breaker state: closed → open → half-open → closed
+    this.circuit = { state: 'closed', failures: 0, openedAt: null, trialInFlight: false };
+
+    this.singleFlight = createSingleFlight();
+  }
+
+  /**
+   * Check whether a failed attempt is worth retrying
+   * @param {Error} error - Axios error
+   * @returns {boolean} True for network errors, timeouts, 429 and 5xx
+   */
+  isRetryable(error) {
+    if (!error.response) {
+      return true;
+    }
+    return RETRYABLE_STATUSES.includes(error.response.status);
+  }
+
+  /**
+   * Get the circuit breaker state for health checks
+   * @returns {Object} { state, failures, retryAfter } (retryAfter in seconds while open)
+   */
+  getCircuit() {
+    const { state, failures, openedAt } = this.circuit;
+    const remaining = state === 'open' ? this.cooldownMs - (Date.now() - openedAt) : 0;
+    return {
+      state: state === 'open' && remaining <= 0 ? 'half-open' : state,
+      failures,
+      retryAfter: remaining > 0 ? Math.ceil(remaining / 1000) : null,
+    };
+  }
+
+  /**
+   * Let a request through the circuit breaker, or fail fast
+   * While open, a single trial request is allowed once the cooldown has passed
+   */
+  enterCircuit() {
+    const { state, openedAt, trialInFlight } = this.circuit;
+    if (state === 'closed') {
+      return;
+    }
+
+    const remaining = this.cooldownMs - (Date.now() - openedAt);
+    if (remaining > 0 || trialInFlight) {
+      throw new UpstreamError(`${this.name} is unavailable, try again later`, 503, {
+        retryAfter: Math.max(Math.ceil(remaining / 1000), 1),
+      });
+    }
+
+    this.circuit.state = 'half-open';
+    this.circuit.trialInFlight = true;
+  }
+
+  /**
+   * Record the outcome of a request in the circuit breaker
+   * @param {boolean} healthy - False if the upstream failed (after retries)
+   */
+  leaveCircuit(healthy) {
+    const wasTrial = this.circuit.trialInFlight;
+    this.circuit.trialInFlight = false;
+
+    if (healthy) {
+      if (this.circuit.state !== 'closed') {
+        console.log(`✅ ${this.name} recovered, circuit closed`);
+      }
+      this.circuit = { state: 'closed', failures: 0, openedAt: null, trialInFlight: false };
+      return;
+    }
+
+    this.circuit.failures++;
+    if (wasTrial || this.circuit.failures >= this.failureThreshold) {
+      this.circuit.state = 'open';
+      this.circuit.openedAt = Date.now();
+      console.warn(`⚠️  ${this.name} circuit opened for ${this.cooldownMs / 1000}s after ${this.circuit.failures} failures`);
+    }
+  }
+
+  /**
+   * Send a request with retries
+   * @param {Object} config - Axios request config
+   * @returns {Promise<Object>} Axios response
+   */
+  async sendWithRetries(config) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await axios({ timeout: this.timeoutMs, ...config });
+      } catch (error) {
+        if (!this.isRetryable(error) || attempt >= this.maxRetries) {
+          throw error;
+        }
+
+        const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+        if (retryAfter !== null && retryAfter > this.maxDelayMs) {
+          throw error;
+        }
+
+        // Full jitter keeps many waiting clients from retrying in lockstep
+        const backoff = Math.min(this.baseDelayMs * 2 ** attempt, this.maxDelayMs);
+        const delay = retryAfter ?? Math.round(Math.random() * backoff);
+        console.warn(
+          `🔁 ${this.name} ${config.method || 'get'} ${config.url} failed (${error.response?.status || error.code || error.message}), ` +
+            `retry ${attempt + 1}/${this.maxRetries} in ${delay}ms`
+        );
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Send a request through the circuit breaker
+   * Failures become UpstreamErrors: 503 while the circuit is open or the
+   * upstream is unreachable, 502 for other upstream errors
+   * @param {Object} config - Axios request config
+   * @returns {Promise<Object>} Axios response
+   */
+  async request(config) {
+    this.enterCircuit();
+
+    try {
+      const response = await this.sendWithRetries(config);
+      this.leaveCircuit(true);
+      return response;
+    } catch (error) {
+      const status = error.response?.status || null;
+      // Client errors such as an unknown verse say nothing about upstream health
+      this.leaveCircuit(!this.isRetryable(error));
+
+      const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+      throw new UpstreamError(
+        `${this.name} request failed${status ? ` with status ${status}` : `: ${error.message}`}`,
+        status === null || status === 429 || status === 503 ? 503 : 502,
+        { upstreamStatus: status, retryAfter: retryAfter !== null ? Math.ceil(retryAfter / 1000) : null }
+      );
+    }
+  }
+
+  /**
+   * Send a GET request; identical concurrent requests share one upstream call
+   * @param {string} url - Request URL
+   * @param {Object} config - Axios config ({ params, headers })
+   * @returns {Promise<Object>} Axios response
+   */
+  get(url, config = {}) {
+    const key = `${url}?${new URLSearchParams(config.params || {}).toString()}`;
+    return this.singleFlight(key, () => this.request({ ...config, method: 'get', url }));
+  }
+
+  /**
+   * Send a POST request (never coalesced)
+   * @param {string} url - Request URL
+   * @param {*} data - Request body
+   * @param {Object} config - Axios config ({ headers })
+   * @returns {Promise<Object>} Axios response
+   */
+  post(url, data, config = {}) {
+    return this.request({ ...config, method: 'post', url, data });
+  }
+}
+
+module.exports = { UpstreamClient, UpstreamError, parseRetryAfter };
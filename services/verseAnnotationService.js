@@ -0,0 +1,103 @@
+const Word = require('../models/Word');
+const UserWord = require('../models/UserWord');
+const { normalizeArabic, tokenizeArabic } = require('../utils/arabic');
+
+/**
+ * Verse Annotation Service
+ * Links the words of Quran content verses to the vocabulary and marks the
+ * ones a user has learned. Cached verses are shared between requests, so
+ * annotated verses are always copies.
+ */
+class VerseAnnotationService {
+  /**
+   * Get the normalized form of each word of a verse
+   * Uses the word's own Uthmani text when the provider sends it, else the
+   * verse text token at the same position
+   * @param {Object} verse - Verse with words
+   * @returns {Map<number, string>} Word position → normalized form (words only, no verse end markers)
+   */
+  getWordForms(verse) {
+    const tokens = new Map(
+      tokenizeArabic(verse.text_uthmani || '').map((token) => [token.position, token.normalized])
+    );
+    const forms = new Map();
+
+    for (const word of verse.words || []) {
+      if (word.char_type_name !== 'word') continue;
+      const form = word.text_uthmani ? normalizeArabic(word.text_uthmani) : tokens.get(word.position);
+      if (form) {
+        forms.set(word.position, form);
+      }
+    }
+    return forms;
+  }
+
+  /**
+   * Annotate verses for a user
+   * Each word gets vocabulary: { id, isLearned } (null when no vocabulary
+   * entry has its form; isLearned when any entry with the form is learned)
+   * and each verse gets understanding: { knownWords, totalWords,
+   * percentUnderstood }
+   * @param {Array<Object>} verses - Verses with words (not modified)
+   * @param {ObjectId} userId - ID of the user
+   * @returns {Promise<Array<Object>>} Annotated copies, in the same order
+   */
+  async annotate(verses, userId) {
+    const formsByVerse = verses.map((verse) => this.getWordForms(verse));
+    const allForms = [...new Set(formsByVerse.flatMap((forms) => [...forms.values()]))];
+
+    const entries = allForms.length > 0
+      ? await Word.find({ arabicNormalized: { $in: allForms } })
+        .select('id arabicNormalized frequency')
+        .sort({ frequency: -1 })
+        .lean()
+      : [];
+
+    // Several entries can share a form; link the most frequent one
+    const wordByForm = new Map();
+    for (const entry of entries) {
+      if (!wordByForm.has(entry.arabicNormalized)) {
+        wordByForm.set(entry.arabicNormalized, entry);
+      }
+    }
+
+    // A form is known if the user learned any entry that has it
+    const learned = await UserWord.getLearnedSet(userId, entries.map((entry) => entry.id));
+    const learnedForms = new Set(
+      entries.filter((entry) => learned.has(entry.id)).map((entry) => entry.arabicNormalized)
+    );
+
+    return verses.map((verse, index) => {
+      const forms = formsByVerse[index];
+      let knownWords = 0;
+      let totalWords = 0;
+
+      const words = (verse.words || []).map((word) => {
+        if (word.char_type_name !== 'word') {
+          return word;
+        }
+
+        const form = forms.get(word.position);
+        const entry = wordByForm.get(form);
+        const isLearned = learnedForms.has(form);
+        totalWords++;
+        if (isLearned) knownWords++;
+
+        return { ...word, vocabulary: entry ? { id: entry.id, isLearned } : null };
+      });
+
+      return {
+        ...verse,
+        words,
+        understanding: {
+          knownWords,
+          totalWords,
+          percentUnderstood: totalWords > 0 ? parseFloat(((knownWords / totalWords) * 100).toFixed(2)) : 0,
+        },
+      };
+    });
+  }
+}
+
+// Export a singleton instance
+module.exports = new VerseAnnotationService();
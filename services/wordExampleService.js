@@ -0,0 +1,136 @@
+const Word = require('../models/Word');
+const AuditLog = require('../models/AuditLog');
+const quranService = require('./quranService');
+const exampleRankingService = require('./exampleRankingService');
+const verseAnnotationService = require('./verseAnnotationService');
+const { normalizeArabic } = require('../utils/arabic');
+
+// Search results ranked to choose the examples of a word
+const CANDIDATE_POOL = 20;
+
+// Example verses stored per word by the precompute job
+const EXAMPLES_PER_WORD = 3;
+
+// Most example verses an editor can choose for a word
+const MAX_CHOSEN_EXAMPLES = 10;
+
+/**
+ * Word Example Service
+ * Keeps a curated set of example verse keys on each word, so word cards can
+ * show examples without a live search. The set is computed from the ranked
+ * search results (see exampleRankingService) or chosen by an editor.
+ */
+class WordExampleService {
+  constructor() {
+    this.examplesPerWord = EXAMPLES_PER_WORD;
+    this.maxChosenExamples = MAX_CHOSEN_EXAMPLES;
+  }
+
+  /**
+   * Compute the best example verse keys of a word
+   * Ranked without a user: short verses containing the exact form first.
+   * Candidates that cannot be fetched are left out
+   * @param {Object} word - Word ({ arabic })
+   * @returns {Promise<Array<string>>} Verse keys, best first
+   */
+  async compute(word) {
+    const { verses } = await quranService.getVerseCandidates(word.arabic, CANDIDATE_POOL);
+    return exampleRankingService
+      .rank(verses, word.arabic)
+      .slice(0, EXAMPLES_PER_WORD)
+      .map((verse) => verse.verse_key);
+  }
+
+  /**
+   * Recompute and store the examples of a word, unless an editor chose them
+   * Does not touch updatedAt, which tracks content edits
+   * @param {Object} word - Word ({ _id, arabic, arabicNormalized })
+   * @param {Object} options - { dryRun } to compute without storing
+   * @returns {Promise<Object|null>} Stored example set, or null if an editor chose the examples meanwhile
+   */
+  async refresh(word, { dryRun = false } = {}) {
+    const examples = {
+      verseKeys: await this.compute(word),
+      source: 'job',
+      form: word.arabicNormalized || normalizeArabic(word.arabic),
+      computedAt: new Date(),
+    };
+
+    if (dryRun) {
+      return examples;
+    }
+
+    const { matchedCount } = await Word.updateOne(
+      { _id: word._id, 'examples.source': { $ne: 'editor' } },
+      { $set: { examples } },
+      { timestamps: false, runValidators: true }
+    );
+    return matchedCount > 0 ? examples : null;
+  }
+
+  /**
+   * Set the examples of a word by hand; the precompute job leaves them alone
+   * @param {Document} word - Word document
+   * @param {Array<string>} verseKeys - Verse keys, in display order
+   * @param {Object} actor - Who makes the change (see AuditLog.record)
+   * @returns {Promise<Object>} Stored example set
+   */
+  async choose(word, verseKeys, actor) {
+    const before = word.examples ? [...word.examples.verseKeys] : null;
+
+    word.examples = {
+      verseKeys,
+      source: 'editor',
+      form: word.arabicNormalized || normalizeArabic(word.arabic),
+      computedAt: new Date(),
+    };
+    await word.save();
+
+    await AuditLog.record(actor, 'update', 'word', word.id, {
+      changes: { examples: { from: before, to: verseKeys } },
+    });
+    return word.examples;
+  }
+
+  /**
+   * Drop an editor's choice so the precompute job computes the examples again
+   * @param {Document} word - Word document
+   * @param {Object} actor - Who makes the change (see AuditLog.record)
+   * @returns {Promise<boolean>} False if the examples were not chosen by an editor
+   */
+  async release(word, actor) {
+    if (!word.examples || word.examples.source !== 'editor') {
+      return false;
+    }
+
+    const before = [...word.examples.verseKeys];
+    word.examples = null;
+    await word.save();
+
+    await AuditLog.record(actor, 'update', 'word', word.id, {
+      changes: { examples: { from: before, to: null } },
+    });
+    return true;
+  }
+
+  /**
+   * Load the stored example verses of a word
+   * @param {Object} word - Word ({ examples })
+   * @param {string} translationIds - Comma-separated translation IDs
+   * @param {ObjectId} userId - Signed-in user to annotate the verses for, or null
+   * @returns {Promise<Array<Object>>} Verses in stored order (empty if none are stored)
+   */
+  async getVerses(word, translationIds, userId = null) {
+    const verseKeys = word.examples ? word.examples.verseKeys : [];
+    const verses = await Promise.all(
+      verseKeys.map(async (verseKey) => {
+        const details = await quranService.getVerseDetails(verseKey, translationIds);
+        return details.data.verse;
+      })
+    );
+    return userId ? verseAnnotationService.annotate(verses, userId) : verses;
+  }
+}
+
+// Export a singleton instance
+module.exports = new WordExampleService();
@@ -0,0 +1,56 @@
+require('dotenv').config();
+const admin = require('firebase-admin');
+const initializeFirebase = require('./config/firebase');
+const { ROLES } = require('./middleware/authMiddleware');
+
+/**
+ * Set Role
+ * Grants or revokes a content role through the "role" Firebase custom claim.
+ * Other custom claims are kept. The user gets the new role once their client
+ * refreshes its ID token (at most an hour, or on the next sign-in).
+ *
+ * Usage:
+ *   node set-role.js (--email <email> | --uid <firebaseUid>) --role <admin|editor|none>
+ */
+
+const args = process.argv.slice(2);
+
+const argValue = (name) => {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : null;
+};
+
+const email = argValue('--email');
+const uid = argValue('--uid');
+const role = argValue('--role');
+
+/**
+ * Update the user's role claim
+ */
+const setRole = async () => {
+  try {
+    if ((!email && !uid) || ![...ROLES, 'none'].includes(role)) {
+      console.error('❌ Usage: node set-role.js (--email <email> | --uid <firebaseUid>) --role <admin|editor|none>');
+      process.exit(1);
+    }
+
+    if (!initializeFirebase()) {
+      process.exit(1);
+    }
+
+    const user = uid ? await admin.auth().getUser(uid) : await admin.auth().getUserByEmail(email);
+    const { role: previous, ...claims } = user.customClaims || {};
+    const next = role === 'none' ? claims : { ...claims, role };
+
+    await admin.auth().setCustomUserClaims(user.uid, next);
+
+    console.log(`✅ ${user.email || user.uid}: ${previous || 'none'} → ${role}`);
+    console.log('ℹ️  The change applies once the user refreshes their ID token\n');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error setting role:', error.message);
+    process.exit(1);
+  }
+};
+
+setRole();
@@ -0,0 +1,204 @@
+/**
+ * Arabic text normalization
+ * Reduces vocalised (Uthmani or simple) Arabic to a bare letter form so that
+ * Quran tokens can be matched against vocabulary entries
+ */
+
+// Harakat, tanween, shadda, sukun, superscript alef, Quranic annotation
+// marks and extended Arabic marks
+const DIACRITICS = /[ؐ-ًؚ-ٰٟۖ-ۭ࣓-ࣿ]/g;
+const TATWEEL = /ـ/g;
+const ALEF_VARIANTS = /[آأإٱٲٳ]/g;
+const YA_VARIANTS = /[ىیئ]/g;
+const WAW_HAMZA = /ؤ/g;
+const TA_MARBUTA = /ة/g;
+const NON_LETTERS = /[^ء-ي]/g;
+
+/**
+ * Normalize Arabic text for matching
+ * Removes tashkeel and Quranic marks, unifies alef, ya, waw-hamza and
+ * ta marbuta variants and drops everything that is not an Arabic letter
+ * @param {string} text - Arabic text (a single word)
+ * @returns {string} Normalized letters (may be empty)
+ */
+const normalizeArabic = (text) => {
+  if (!text) {
+    return '';
+  }
+
+  return text
+    .normalize('NFC')
+    .replace(DIACRITICS, '')
+    .replace(TATWEEL, '')
+    .replace(ALEF_VARIANTS, 'ا')
+    .replace(YA_VARIANTS, 'ي')
+    .replace(WAW_HAMZA, 'و')
+    .replace(TA_MARBUTA, 'ه')
+    .replace(NON_LETTERS, '');
+};
+
+/**
+ * Split verse text into word tokens
+ * Standalone marks (e.g. rub el hizb or sajdah signs) are not words and are
+ * skipped without taking a position
+ * @param {string} text - Verse text
+ * @returns {Array<{position: number, text: string, normalized: string}>} Tokens, 1-based positions
+ */
+const tokenizeArabic = (text) => {
+  const tokens = [];
+
+  for (const part of (text || '').split(/\s+/)) {
+    const normalized = normalizeArabic(part);
+    if (normalized) {
+      tokens.push({ position: tokens.length + 1, text: part, normalized });
+    }
+  }
+
+  return tokens;
+};
+
+// Extended Buckwalter transliteration as used by the Quranic Arabic Corpus
+const BUCKWALTER = {
+  "'": 'ء', '|': 'آ', '>': 'أ', '&': 'ؤ', '<': 'إ', '}': 'ئ', A: 'ا', b: 'ب',
+  p: 'ة', t: 'ت', v: 'ث', j: 'ج', H: 'ح', x: 'خ', d: 'د', '*': 'ذ', r: 'ر',
+  z: 'ز', s: 'س', $: 'ش', S: 'ص', D: 'ض', T: 'ط', Z: 'ظ', E: 'ع', g: 'غ',
+  _: 'ـ', f: 'ف', q: 'ق', k: 'ك', l: 'ل', m: 'م', n: 'ن', h: 'ه', w: 'و',
+  Y: 'ى', y: 'ي', F: 'ً', N: 'ٌ', K: 'ٍ', a: 'َ', u: 'ُ', i: 'ِ', '~': 'ّ',
+  o: 'ْ', '`': 'ٰ', '{': 'ٱ', '^': 'ٓ', '#': 'ٔ', ':': 'ۜ', '@': '۟', '"': '۠',
+  '[': 'ۢ', ';': '۪', ',': 'ۭ', '.': 'ۥ', '!': 'ۨ', '-': 'ۣ', '+': 'ۧ', '%': '۬',
+  ']': 'ۭ',
+};
+
+// Hamza carriers, which are all the same radical in a root
+const HAMZA_VARIANTS = /[أإؤئآ]/g;
+
+/**
+ * Convert Buckwalter transliteration to Arabic script
+ * Unknown characters are kept as they are
+ * @param {string} text - Buckwalter text (e.g. "kataba")
+ * @returns {string} Arabic text
+ */
+const buckwalterToArabic = (text) =>
+  [...(text || '')].map((char) => BUCKWALTER[char] || char).join('');
+
+/**
+ * Normalize an Arabic root to its bare radicals
+ * "ك ت ب", "كَتَبَ" and "ك-ت-ب" all become "كتب"; hamza carriers become "ء"
+ * @param {string} text - Root in Arabic script
+ * @returns {string} Radicals (may be empty)
+ */
+const normalizeRoot = (text) => {
+  if (!text) {
+    return '';
+  }
+
+  return text
+    .normalize('NFC')
+    .replace(DIACRITICS, '')
+    .replace(TATWEEL, '')
+    .replace(HAMZA_VARIANTS, 'ء')
+    .replace(/ٱ/g, 'ا')
+    .replace(/ى/g, 'ي')
+    .replace(NON_LETTERS, '');
+};
+
+/**
+ * Derive the morphological pattern (wazn) of a lemma from its root
+ * The radicals are replaced in order by ف ع ل (ل again for a fourth radical),
+ * keeping vowels and extra letters: عَلِيم with root علم → فَعِيل.
+ * Lemmas whose radicals changed (weak or assimilated roots) have no derivable pattern
+ * @param {string} lemma - Vocalised lemma in Arabic script
+ * @param {string} root - Normalized root (see normalizeRoot)
+ * @returns {string|null} Pattern, or null if it cannot be derived
+ */
+const derivePattern = (lemma, root) => {
+  const radicals = [...(root || '')];
+  if (!lemma || radicals.length < 3 || radicals.length > 4) {
+    return null;
+  }
+
+  const placeholders = ['ف', 'ع', 'ل', 'ل'];
+  let matched = 0;
+  const pattern = [...lemma.normalize('NFC')].map((char) => {
+    if (matched < radicals.length && normalizeRoot(char) === radicals[matched]) {
+      return placeholders[matched++];
+    }
+    return char;
+  });
+
+  return matched === radicals.length ? pattern.join('') : null;
+};
+
+// Latin transliteration of consonants, in the style of the vocabulary data
+const CONSONANTS = {
+  ء: 'ʾ', أ: 'ʾ', إ: 'ʾ', ؤ: 'ʾ', ئ: 'ʾ', ب: 'b', ت: 't', ث: 'th', ج: 'j',
+  ح: 'ḥ', خ: 'kh', د: 'd', ذ: 'dh', ر: 'r', ز: 'z', س: 's', ش: 'sh', ص: 'ṣ',
+  ض: 'ḍ', ط: 'ṭ', ظ: 'ẓ', ع: 'ʿ', غ: 'gh', ف: 'f', ق: 'q', ك: 'k', ل: 'l',
+  م: 'm', ن: 'n', ه: 'h', و: 'w', ي: 'y',
+};
+const SHORT_VOWELS = { 'َ': 'a', 'ِ': 'i', 'ُ': 'u', 'ً': 'an', 'ٍ': 'in', 'ٌ': 'un' };
+const LONG_VOWELS = { a: 'ā', i: 'ī', u: 'ū' };
+
+/**
+ * Transliterate fully vocalised Arabic into Latin script
+ * Long vowels, shadda and word-initial hamza follow the vocabulary data
+ * ("kataba", "yaʿlamu", "mustaghfirūna"); unvocalised text is only approximated
+ * @param {string} text - Vocalised Arabic (one or more words)
+ * @returns {string} Transliteration
+ */
+const transliterateArabic = (text) =>
+  (text || '')
+    .normalize('NFC')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((word) => {
+      // Canonical order puts the vowel before shadda; double the consonant first
+      const chars = [...word.replace(/([ًٌٍَُِ])ّ/g, 'ّ$1')];
+      let output = '';
+      let lastConsonant = '';
+      let lastVowel = '';
+
+      chars.forEach((char, index) => {
+        const next = chars[index + 1];
+        const nextIsVowel = next in SHORT_VOWELS || next === 'ّ';
+
+        if (char in SHORT_VOWELS) {
+          output += SHORT_VOWELS[char];
+          lastVowel = SHORT_VOWELS[char];
+        } else if (char === 'ّ') {
+          output += lastConsonant;
+        } else if (char === 'ٰ' || ((char === 'ا' || char === 'ى') && index > 0)) {
+          // Lengthens a preceding fatha; otherwise silent (as after the plural "ū")
+          if (lastVowel === 'a' && output.endsWith('a')) {
+            output = `${output.slice(0, -1)}ā`;
+          }
+          lastVowel = '';
+        } else if ((char === 'و' || char === 'ي') && !nextIsVowel && LONG_VOWELS[lastVowel] &&
+          output.endsWith(lastVowel) && lastVowel === (char === 'و' ? 'u' : 'i')) {
+          output = `${output.slice(0, -1)}${LONG_VOWELS[lastVowel]}`;
+          lastVowel = '';
+        } else if (char === 'آ') {
+          output += index === 0 ? 'ā' : 'ʾā';
+          lastVowel = '';
+        } else if (char === 'ة') {
+          output += nextIsVowel ? 't' : 'h';
+        } else if (CONSONANTS[char]) {
+          // Word-initial hamza and alef are not written
+          lastConsonant = index === 0 && CONSONANTS[char] === 'ʾ' ? '' : CONSONANTS[char];
+          output += lastConsonant;
+          lastVowel = '';
+        }
+      });
+
+      return output;
+    })
+    .join(' ');
+
+module.exports = {
+  normalizeArabic,
+  transliterateArabic,
+  tokenizeArabic,
+  buckwalterToArabic,
+  normalizeRoot,
+  derivePattern,
+};
@@ -0,0 +1,248 @@
+/**
+ * Verb conjugation
+ * Generates the main paradigm of a triliteral verb from its root and derived
+ * form (I–X). Templates are written in Buckwalter with 1, 2 and 3 standing for
+ * the radicals and 4 for the infixed ta of form VIII.
+ */
+const { buckwalterToArabic, transliterateArabic } = require('./arabic');
+
+const VERB_FORMS = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X'];
+
+// Radicals that make a root weak, which sound templates would conjugate wrongly
+const WEAK_LETTERS = ['و', 'ي'];
+const HAMZA = 'ء';
+
+// Letters that change the infixed ta of form VIII
+const EMPHATICS = ['ص', 'ض', 'ظ'];
+const MERGING = ['ط', 'د', 'ذ'];
+
+/**
+ * Stems per form
+ * past: past stem up to the third radical; present: present stem after the prefix;
+ * prefixVowel: vowel of the present prefix; imperativePrefix: added to the present
+ * stem when it starts with a consonant cluster
+ * Form I past and present vowels are filled in at generation time ({P} and {R})
+ */
+const FORMS = {
+  I: {
+    past: '1a2{P}3', present: '1o2{R}3', prefixVowel: 'a', imperativePrefix: 'A{I}',
+    active: '1aA2i3', passive: 'ma1o2uw3', masdar: null,
+  },
+  II: {
+    past: '1a2~a3', present: '1a2~i3', prefixVowel: 'u', imperativePrefix: '',
+    active: 'mu1a2~i3', passive: 'mu1a2~a3', masdar: 'ta1o2iy3',
+  },
+  III: {
+    past: '1aA2a3', present: '1aA2i3', prefixVowel: 'u', imperativePrefix: '',
+    active: 'mu1aA2i3', passive: 'mu1aA2a3', masdar: 'mu1aA2a3ap',
+  },
+  IV: {
+    past: '>a1o2a3', present: '1o2i3', prefixVowel: 'u', imperativePrefix: '>a',
+    active: 'mu1o2i3', passive: 'mu1o2a3', masdar: '<i1o2aA3',
+  },
+  V: {
+    past: 'ta1a2~a3', present: 'ta1a2~a3', prefixVowel: 'a', imperativePrefix: '',
+    active: 'muta1a2~i3', passive: 'muta1a2~a3', masdar: 'ta1a2~u3',
+  },
+  VI: {
+    past: 'ta1aA2a3', present: 'ta1aA2a3', prefixVowel: 'a', imperativePrefix: '',
+    active: 'muta1aA2i3', passive: 'muta1aA2a3', masdar: 'ta1aA2u3',
+  },
+  VII: {
+    past: 'Aino1a2a3', present: 'no1a2i3', prefixVowel: 'a', imperativePrefix: 'Ai',
+    active: 'muno1a2i3', passive: null, masdar: 'Aino1i2aA3',
+  },
+  VIII: {
+    past: 'Ai1o4a2a3', present: '1o4a2i3', prefixVowel: 'a', imperativePrefix: 'Ai',
+    active: 'mu1o4a2i3', passive: 'mu1o4a2a3', masdar: 'Ai1o4i2aA3',
+  },
+  IX: {
+    past: 'Ai1o2a3~', present: '1o2a3~', prefixVowel: 'a', imperativePrefix: 'Ai',
+    active: 'mu1o2a3~', passive: null, masdar: 'Ai1o2i3aA3',
+  },
+  X: {
+    past: 'Aisota1o2a3', present: 'sota1o2i3', prefixVowel: 'a', imperativePrefix: 'Ai',
+    active: 'musota1o2i3', passive: 'musota1o2a3', masdar: 'Aisoti1o2aA3',
+  },
+};
+
+// Past endings; "consonant" endings follow a radical with sukun
+const PAST_ENDINGS = [
+  ['3ms', 'a', false], ['3fs', 'ato', false], ['3md', 'aA', false], ['3fd', 'ataA', false],
+  ['3mp', 'uwA', false], ['3fp', 'na', true], ['2ms', 'ta', true], ['2fs', 'ti', true],
+  ['2d', 'tumaA', true], ['2mp', 'tumo', true], ['2fp', 'tun~a', true], ['1s', 'tu', true],
+  ['1p', 'naA', true],
+];
+
+// Present (indicative) prefixes and endings
+const PRESENT_ENDINGS = [
+  ['3ms', 'y', 'u', false], ['3fs', 't', 'u', false], ['3md', 'y', 'aAni', false],
+  ['3fd', 't', 'aAni', false], ['3mp', 'y', 'uwna', false], ['3fp', 'y', 'na', true],
+  ['2ms', 't', 'u', false], ['2fs', 't', 'iyna', false], ['2d', 't', 'aAni', false],
+  ['2mp', 't', 'uwna', false], ['2fp', 't', 'na', true], ['1s', '>', 'u', false],
+  ['1p', 'n', 'u', false],
+];
+
+// Imperative endings
+const IMPERATIVE_ENDINGS = [
+  ['2ms', 'o', true], ['2fs', 'iy', false], ['2d', 'aA', false], ['2mp', 'uwA', false],
+  ['2fp', 'na', true],
+];
+
+/**
+ * Classify a triliteral root by the radicals that affect conjugation
+ * @param {string} root - Normalized root (see utils/arabic normalizeRoot)
+ * @returns {string} 'sound', 'assimilated', 'hollow', 'defective', 'doubled',
+ *                   'hamzated' or 'quadriliteral'
+ */
+const classifyRoot = (root) => {
+  const radicals = [...(root || '')];
+  if (radicals.length !== 3) return 'quadriliteral';
+  if (WEAK_LETTERS.includes(radicals[1])) return 'hollow';
+  if (WEAK_LETTERS.includes(radicals[2])) return 'defective';
+  if (WEAK_LETTERS.includes(radicals[0])) return 'assimilated';
+  if (radicals[1] === radicals[2]) return 'doubled';
+  if (radicals.includes(HAMZA)) return 'hamzated';
+  return 'sound';
+};
+
+/**
+ * Find the vowel that follows a radical in vocalised text
+ * Used to read the form I vowels from a lemma (past) or an imperfect stem (present)
+ * @param {string} text - Vocalised Arabic
+ * @param {string} root - Normalized root
+ * @param {number} index - 0-based radical index
+ * @returns {string|null} 'a', 'i' or 'u'
+ */
+const vowelAfterRadical = (text, root, index) => {
+  const radicals = [...(root || '')];
+  const chars = [...(text || '').normalize('NFC').replace(/([َُِ])ّ/g, 'ّ$1')];
+  const vowels = { 'َ': 'a', 'ِ': 'i', 'ُ': 'u' };
+
+  let matched = 0;
+  for (let i = 0; i < chars.length && matched <= index; i++) {
+    if (chars[i] !== radicals[matched]) continue;
+    if (matched === index) {
+      const next = chars[i + 1] === 'ّ' ? chars[i + 2] : chars[i + 1];
+      return vowels[next] || null;
+    }
+    matched++;
+  }
+  return null;
+};
+
+/**
+ * Guess the form I present vowel from the past vowel
+ * fa'ila verbs take a, fa'ula verbs u; fa'ala verbs usually take u, or a when the
+ * second or third radical is a guttural
+ * @param {string} root - Normalized root
+ * @param {string} pastVowel - 'a', 'i' or 'u'
+ * @returns {string} 'a', 'i' or 'u'
+ */
+const guessPresentVowel = (root, pastVowel) => {
+  if (pastVowel === 'i') return 'a';
+  if (pastVowel === 'u') return 'u';
+  const gutturals = ['ء', 'ه', 'ع', 'ح', 'غ', 'خ'];
+  return gutturals.includes(root[1]) || gutturals.includes(root[2]) ? 'a' : 'u';
+};
+
+/**
+ * Fill a template with the radicals and convert it to Arabic
+ * @param {string} template - Buckwalter template
+ * @param {Array<string>} radicals - Root letters
+ * @param {string} form - Verb form
+ * @returns {Object} { arabic, transliteration }
+ */
+const realize = (template, radicals, form) => {
+  let text = template;
+
+  // Form VIII ta assimilates to the first radical
+  if (form === 'VIII') {
+    if (MERGING.includes(radicals[0])) {
+      text = text.replace('1o4', '1~');
+    } else if (EMPHATICS.includes(radicals[0])) {
+      text = text.replace('4', 'T');
+    } else if (radicals[0] === 'ز') {
+      text = text.replace('4', 'd');
+    }
+    text = text.replace('4', 't');
+  }
+
+  const arabic = buckwalterToArabic(text)
+    .replace(/1/g, radicals[0])
+    .replace(/2/g, radicals[1])
+    .replace(/3/g, radicals[2]);
+
+  return { arabic, transliteration: transliterateArabic(arabic) };
+};
+
+/**
+ * Spell out a doubled final radical when a consonant ending follows (form IX)
+ * "Ai1o2a3~" + "tu" → "Ai1o2a3a3otu"
+ * @param {string} stem - Stem ending in a doubled radical
+ * @param {string} vowel - Vowel between the two radicals
+ * @returns {string} Stem ending in a radical with sukun
+ */
+const undouble = (stem, vowel) => stem.replace(/3~$/, `3${vowel}3o`);
+
+/**
+ * Generate the main paradigm of a sound triliteral verb
+ * @param {string} root - Normalized sound root
+ * @param {string} form - Verb form (I–X)
+ * @param {Object} vowels - Form I vowels ({ past, present })
+ * @returns {Object} { past, present, imperative, activeParticiple, passiveParticiple, masdar }
+ */
+const conjugate = (root, form, { past: pastVowel = 'a', present: presentVowel = 'u' } = {}) => {
+  const radicals = [...root];
+  const stems = FORMS[form];
+  const pastStem = stems.past.replace('{P}', pastVowel);
+  const presentStem = stems.present.replace('{R}', presentVowel);
+  const doubled = pastStem.endsWith('~');
+
+  const past = PAST_ENDINGS.map(([person, ending, consonant]) => {
+    let stem = pastStem;
+    if (consonant) {
+      stem = doubled ? undouble(pastStem, 'a') : `${pastStem}o`;
+    }
+    return { person, ...realize(stem + ending, radicals, form) };
+  });
+
+  const present = PRESENT_ENDINGS.map(([person, prefix, ending, consonant]) => {
+    let stem = presentStem;
+    if (consonant) {
+      stem = doubled ? undouble(presentStem, 'i') : `${presentStem}o`;
+    }
+    return { person, ...realize(`${prefix}${stems.prefixVowel}${stem}${ending}`, radicals, form) };
+  });
+
+  const imperativePrefix = stems.imperativePrefix.replace('{I}', presentVowel === 'u' ? 'u' : 'i');
+  const imperative = IMPERATIVE_ENDINGS.map(([person, ending, consonant]) => {
+    let text;
+    if (consonant && doubled) {
+      // The short form keeps the doubling: "iḥmarra"
+      text = person === '2ms' ? `${presentStem}a` : `${undouble(presentStem, 'i')}${ending}`;
+    } else {
+      text = consonant && ending !== 'o' ? `${presentStem}o${ending}` : `${presentStem}${ending}`;
+    }
+    return { person, ...realize(imperativePrefix + text, radicals, form) };
+  });
+
+  const single = (template) => (template ? realize(template, radicals, form) : null);
+
+  return {
+    past,
+    present,
+    imperative,
+    activeParticiple: single(stems.active),
+    passiveParticiple: single(stems.passive),
+    masdar: single(stems.masdar),
+  };
+};
+
+module.exports = {
+  VERB_FORMS,
+  classifyRoot,
+  vowelAfterRadical,
+  guessPresentVowel,
+  conjugate,
+};
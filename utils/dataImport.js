@@ -0,0 +1,182 @@
+/**
+ * Data file import
+ * Validates records from a data file against a model and syncs the collection
+ * to them by key with upserts, so re-running an import never wipes data and
+ * fields set by other importers (e.g. morphology) are kept.
+ */
+
+const BATCH_SIZE = 500;
+
+// Changes listed per category before truncating the report
+const REPORT_LIMIT = 20;
+
+/**
+ * Compare two field values (scalars or arrays)
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if equal
+ */
+const isEqual = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Validate records against a model, coercing them to the schema types
+ * ("1673" becomes 1673). Only fields present in the file are kept, plus any
+ * fields the model derives from them in its validate hooks.
+ * @param {Model} Model - Mongoose model
+ * @param {Array<Object>} records - Records from the data file
+ * @param {Object} options - Import options
+ * @param {string} options.key - Unique key field (default: id)
+ * @param {Array<string>} options.derivedFields - Fields computed by validate hooks
+ * @returns {Promise<Object>} { documents, errors, ignoredFields }
+ */
+const prepareRecords = async (Model, records, { key = 'id', derivedFields = [] } = {}) => {
+  const documents = [];
+  const errors = [];
+  const ignoredFields = new Set();
+  const seenKeys = new Set();
+
+  for (const [index, record] of records.entries()) {
+    const label = `#${index + 1} (${key} ${record[key]})`;
+    const doc = new Model(record);
+
+    try {
+      await doc.validate();
+    } catch (error) {
+      const messages = error.errors
+        ? Object.values(error.errors).map((fieldError) => fieldError.message)
+        : [error.message];
+      errors.push(`${label}: ${messages.join('; ')}`);
+      continue;
+    }
+
+    if (seenKeys.has(doc[key])) {
+      errors.push(`${label}: duplicate ${key}`);
+      continue;
+    }
+    seenKeys.add(doc[key]);
+
+    const values = doc.toObject({ virtuals: false, flattenMaps: true });
+    const fields = {};
+    for (const field of [...Object.keys(record), ...derivedFields]) {
+      if (Model.schema.path(field)) {
+        fields[field] = values[field];
+      } else {
+        ignoredFields.add(field);
+      }
+    }
+    documents.push(fields);
+  }
+
+  return { documents, errors, ignoredFields: [...ignoredFields] };
+};
+
+/**
+ * Diff validated documents against the collection
+ * Derived fields follow the file fields and are not reported
+ * @param {Model} Model - Mongoose model
+ * @param {Array<Object>} documents - Documents from prepareRecords
+ * @param {Object} options - Import options
+ * @param {string} options.key - Unique key field (default: id)
+ * @param {Array<string>} options.derivedFields - Fields computed by validate hooks
+ * @returns {Promise<Object>} { added, changed, removed, unchanged }
+ *          changed entries are { key, document, changes: { field: { from, to } } }
+ */
+const diffCollection = async (Model, documents, { key = 'id', derivedFields = [] } = {}) => {
+  const fields = new Set(documents.flatMap((document) => Object.keys(document)));
+  derivedFields.forEach((field) => fields.delete(field));
+
+  const existing = await Model.find().select([...fields, ...derivedFields].join(' ')).lean();
+  const existingByKey = new Map(existing.map((document) => [document[key], document]));
+  const fileKeys = new Set(documents.map((document) => document[key]));
+
+  const diff = { added: [], changed: [], removed: [], unchanged: 0 };
+
+  for (const document of documents) {
+    const current = existingByKey.get(document[key]);
+    if (!current) {
+      diff.added.push(document);
+      continue;
+    }
+
+    const changes = {};
+    for (const field of fields) {
+      if (field in document && !isEqual(current[field], document[field])) {
+        changes[field] = { from: current[field], to: document[field] };
+      }
+    }
+    const stale = derivedFields.some((field) => !isEqual(current[field], document[field]));
+
+    if (Object.keys(changes).length > 0 || stale) {
+      diff.changed.push({ key: document[key], document, changes });
+    } else {
+      diff.unchanged++;
+    }
+  }
+
+  diff.removed = existing.filter((document) => !fileKeys.has(document[key]));
+  return diff;
+};
+
+/**
+ * Write a diff to the collection
+ * @param {Model} Model - Mongoose model
+ * @param {Object} diff - Diff from diffCollection
+ * @param {Object} options - Import options
+ * @param {string} options.key - Unique key field (default: id)
+ * @param {Array} options.skipRemove - Keys of removed documents to keep
+ * @returns {Promise<Object>} { upserted, deleted }
+ */
+const applyDiff = async (Model, diff, { key = 'id', skipRemove = [] } = {}) => {
+  const operations = [...diff.added, ...diff.changed.map(({ document }) => document)].map((document) => ({
+    updateOne: {
+      filter: { [key]: document[key] },
+      update: { $set: document },
+      upsert: true,
+    },
+  }));
+
+  for (let i = 0; i < operations.length; i += BATCH_SIZE) {
+    await Model.bulkWrite(operations.slice(i, i + BATCH_SIZE), { ordered: false });
+  }
+
+  const keep = new Set(skipRemove);
+  const removeKeys = diff.removed.map((document) => document[key]).filter((value) => !keep.has(value));
+  const { deletedCount } = removeKeys.length > 0
+    ? await Model.deleteMany({ [key]: { $in: removeKeys } })
+    : { deletedCount: 0 };
+
+  return { upserted: operations.length, deleted: deletedCount };
+};
+
+/**
+ * Print a diff summary, listing the first changes of each kind
+ * @param {Object} diff - Diff from diffCollection
+ * @param {Object} options - Report options
+ * @param {string} options.key - Unique key field (default: id)
+ * @param {Function} options.describe - Formats a document for the report
+ */
+const reportDiff = (diff, { key = 'id', describe = (document) => `${key} ${document[key]}` } = {}) => {
+  const format = (value) => JSON.stringify(value);
+  const list = (items, line) => {
+    items.slice(0, REPORT_LIMIT).forEach((item) => console.log(`    ${line(item)}`));
+    if (items.length > REPORT_LIMIT) {
+      console.log(`    … and ${items.length - REPORT_LIMIT} more`);
+    }
+  };
+
+  console.log(`  ➕ Added: ${diff.added.length}`);
+  list(diff.added, describe);
+
+  console.log(`  ✏️  Changed: ${diff.changed.length}`);
+  list(diff.changed, ({ document, changes }) => {
+    const fields = Object.entries(changes).map(([field, { from, to }]) => `${field} ${format(from)} → ${format(to)}`);
+    return `${describe(document)}: ${fields.join(', ') || 'derived fields refreshed'}`;
+  });
+
+  console.log(`  ➖ Removed: ${diff.removed.length}`);
+  list(diff.removed, describe);
+
+  console.log(`  ✔️  Unchanged: ${diff.unchanged}\n`);
+};
+
+module.exports = { prepareRecords, diffCollection, applyDiff, reportDiff };
@@ -0,0 +1,93 @@
+/**
+ * Part-of-speech taxonomy
+ * Maps the free-form word type tags of the source data onto one canonical set
+ */
+
+const PARTS_OF_SPEECH = [
+  'Noun',
+  'Proper Noun',
+  'Pronoun',
+  'Verb',
+  'Verbal Noun',
+  'Participle',
+  'Adjective',
+  'Adverb',
+  'Preposition',
+  'Conjunction',
+  'Particle',
+  'Letter',
+  'Noun Phrase',
+  'Verb Phrase',
+  'Prepositional Phrase',
+  'Phrase',
+];
+
+// Raw tags (lowercase) that narrow or restate a canonical type
+const ALIASES = {
+  'plural noun': 'Noun',
+  'interrogative noun': 'Noun',
+  'plural adjective': 'Adjective',
+  'relative pronoun': 'Pronoun',
+  'demonstrative pronoun': 'Pronoun',
+  'interrogative pronoun': 'Pronoun',
+  'imperative verb': 'Verb',
+  'negative particle': 'Particle',
+  'vocative particle': 'Particle',
+  'definite article': 'Particle',
+};
+
+const CANONICAL = new Map(PARTS_OF_SPEECH.map((type) => [type.toLowerCase(), type]));
+
+/**
+ * Map a single raw tag, without combinations
+ * @param {string} tag - Lowercase tag
+ * @returns {string|null} Canonical type
+ */
+const mapSimpleTag = (tag) => CANONICAL.get(tag) || ALIASES[tag] || null;
+
+/**
+ * Map a raw word type tag onto the canonical taxonomy
+ * - Case and spacing are ignored: "Prepositional phrase" → "Prepositional Phrase"
+ * - Qualifiers in parentheses: "Verb (participle)" → "Participle",
+ *   "Particle (Conjunction)" → "Conjunction", "Verb (with Conjunction)" → "Verb"
+ * - Combined tags ("+", "/" or "and") take the type of the word the prefixes
+ *   attach to: a leading conjunction is a prefix ("Conjunction + Verb" → "Verb"),
+ *   a leading preposition makes a prepositional phrase ("Preposition + Pronoun"),
+ *   otherwise the first part wins ("Particle/Pronoun" → "Particle")
+ * @param {string} raw - Raw tag from the source data
+ * @returns {string|null} Canonical type, or null if the tag is not recognised
+ */
+const toCanonicalType = (raw) => {
+  const tag = (raw || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  if (!tag) {
+    return null;
+  }
+
+  const simple = mapSimpleTag(tag);
+  if (simple) {
+    return simple;
+  }
+
+  const qualified = /^(.+?) \((.+)\)$/.exec(tag);
+  if (qualified) {
+    const [, head, qualifier] = qualified;
+    if (qualifier.includes('participle')) return 'Participle';
+    return mapSimpleTag(qualifier) || toCanonicalType(head);
+  }
+
+  const combined = /^(.+?)\s*(?:\+|\/|\band\b)\s*(.+)$/.exec(tag);
+  if (!combined) {
+    return null;
+  }
+
+  const first = toCanonicalType(combined[1]);
+  if (first === 'Preposition') {
+    return 'Prepositional Phrase';
+  }
+  if (first === 'Conjunction') {
+    return toCanonicalType(combined[2]);
+  }
+  return first;
+};
+
+module.exports = { PARTS_OF_SPEECH, toCanonicalType };
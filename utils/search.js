@@ -0,0 +1,63 @@
+/**
+ * Search text helpers
+ * Builds the normalized shadow fields words are searched on
+ */
+
+// Transliteration letters that do not decompose into ASCII + combining mark
+const LATIN_FOLDS = {
+  ʿ: '',
+  ʾ: '',
+  '‘': '',
+  '’': '',
+  "'": '',
+  '`': '',
+  ı: 'i',
+  ø: 'o',
+  æ: 'ae',
+  ß: 'ss',
+};
+
+/**
+ * Fold Latin transliteration to bare ASCII letters and digits
+ * "fī" → "fi", "ʿalā" → "ala", "wa-lā" → "wala"
+ * @param {string} text - Transliteration or Latin query
+ * @returns {string} Lowercase a-z0-9 only (may be empty)
+ */
+const foldLatin = (text) => {
+  if (!text) {
+    return '';
+  }
+
+  return text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[̀-ͯ]/g, '')
+    .replace(/[ʿʾ‘’'`ıøæß]/g, (char) => LATIN_FOLDS[char])
+    .replace(/[^a-z0-9]/g, '');
+};
+
+/**
+ * Split free text (English, Bangla, ...) into lowercase word tokens
+ * @param {...string} texts - Texts to tokenize
+ * @returns {Array<string>} Unique tokens
+ */
+const tokenizeText = (...texts) => {
+  const tokens = new Set();
+
+  for (const text of texts) {
+    for (const token of (text || '').toLowerCase().normalize('NFC').match(/[\p{L}\p{M}\p{N}]+/gu) || []) {
+      tokens.add(token);
+    }
+  }
+
+  return [...tokens];
+};
+
+/**
+ * Escape a string for literal use inside a regular expression
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = { foldLatin, tokenizeText, escapeRegExp };
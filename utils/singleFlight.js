@@ -0,0 +1,31 @@
+/**
+ * Single-flight
+ * Calls made with the same key while one is in flight share its promise
+ * instead of starting another, e.g. concurrent requests for the same verse.
+ */
+
+/**
+ * Create a single-flight group
+ * @returns {Function} (key, fn) → promise of fn(), shared by concurrent callers;
+ *   the group's in-flight keys are exposed as .size
+ */
+const createSingleFlight = () => {
+  const inFlight = new Map();
+
+  const run = (key, fn) => {
+    if (inFlight.has(key)) {
+      return inFlight.get(key);
+    }
+
+    const promise = Promise.resolve()
+      .then(fn)
+      .finally(() => inFlight.delete(key));
+    inFlight.set(key, promise);
+    return promise;
+  };
+
+  Object.defineProperty(run, 'size', { get: () => inFlight.size });
+  return run;
+};
+
+module.exports = { createSingleFlight };
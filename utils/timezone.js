@@ -0,0 +1,87 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a string is a valid IANA timezone name
+ * @param {string} timeZone - Timezone name (e.g., "Asia/Dhaka")
+ * @returns {boolean} True if the runtime recognises the timezone
+ */
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Format an instant as a calendar day in a timezone
+ * @param {Date} date - Instant to format
+ * @param {string} timeZone - IANA timezone name
+ * @returns {string} Day in YYYY-MM-DD format
+ */
+const toLocalDay = (date, timeZone) => {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(date);
+};
+
+/**
+ * Check whether a string is a valid YYYY-MM-DD day
+ * @param {string} day - Day string
+ * @returns {boolean} True if the day is well-formed and exists
+ */
+const isValidDay = (day) => {
+  if (typeof day !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+    return false;
+  }
+  return dayToUTC(day).toISOString().slice(0, 10) === day;
+};
+
+/**
+ * Convert a YYYY-MM-DD day to midnight UTC of that day
+ * @param {string} day - Day string
+ * @returns {Date} Midnight UTC
+ */
+const dayToUTC = (day) => {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, date));
+};
+
+/**
+ * Shift a YYYY-MM-DD day by a number of days
+ * @param {string} day - Day string
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {string} Shifted day string
+ */
+const addDays = (day, days) => {
+  return new Date(dayToUTC(day).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+};
+
+/**
+ * Number of calendar days between two YYYY-MM-DD days
+ * @param {string} from - Earlier day
+ * @param {string} to - Later day
+ * @returns {number} Whole days from `from` to `to`
+ */
+const daysBetween = (from, to) => {
+  return Math.round((dayToUTC(to) - dayToUTC(from)) / DAY_MS);
+};
+
+module.exports = {
+  DAY_MS,
+  isValidTimeZone,
+  toLocalDay,
+  isValidDay,
+  dayToUTC,
+  addDays,
+  daysBetween,
+};
@@ -0,0 +1,67 @@
+/**
+ * Verse references
+ * Parses and bounds-checks "chapter:verse" and "chapter:from-to" references
+ * against the chapter lengths of the Hafs count used by every provider.
+ */
+
+// Verses per chapter, chapter 1 first (6236 in total)
+const VERSE_COUNTS = [
+  7, 286, 200, 176, 120, 165, 206, 75, 129, 109, 123, 111, 43, 52, 99, 128, 111, 110, 98, 135,
+  112, 78, 118, 64, 77, 227, 93, 88, 69, 60, 34, 30, 73, 54, 45, 83, 182, 88, 75, 85,
+  54, 53, 89, 59, 37, 35, 38, 29, 18, 45, 60, 49, 62, 55, 78, 96, 29, 22, 24, 13,
+  14, 11, 11, 18, 12, 12, 30, 52, 52, 44, 28, 28, 20, 56, 40, 31, 50, 40, 46, 42,
+  29, 19, 36, 25, 22, 17, 19, 26, 30, 20, 15, 21, 11, 8, 8, 19, 5, 8, 8, 11,
+  11, 8, 3, 9, 5, 4, 7, 3, 6, 3, 5, 4, 5, 6,
+];
+
+const CHAPTER_COUNT = VERSE_COUNTS.length;
+
+/**
+ * Get the number of verses in a chapter
+ * @param {number} chapter - Chapter number
+ * @returns {number|null} Verse count, or null if there is no such chapter
+ */
+const getVerseCount = (chapter) =>
+  Number.isInteger(chapter) && chapter >= 1 && chapter <= CHAPTER_COUNT ? VERSE_COUNTS[chapter - 1] : null;
+
+/**
+ * Parse a verse reference
+ * @param {string} reference - "2:255" or a range within one chapter, "2:255-257"
+ * @returns {Object} { chapter, from, to } (from === to for a single verse), or
+ *   { error } describing why the reference is invalid
+ */
+const parseVerseReference = (reference) => {
+  const match = /^(\d+):(\d+)(?:-(\d+))?$/.exec(String(reference).trim());
+  if (!match) {
+    return { error: 'Invalid verse reference format. Use "chapter:verse" or "chapter:from-to" (e.g., "2:255" or "2:255-257")' };
+  }
+
+  const chapter = parseInt(match[1]);
+  const from = parseInt(match[2]);
+  const to = match[3] ? parseInt(match[3]) : from;
+
+  const verseCount = getVerseCount(chapter);
+  if (!verseCount) {
+    return { error: `Chapter must be between 1 and ${CHAPTER_COUNT}` };
+  }
+  if (from < 1 || to > verseCount) {
+    return { error: `Chapter ${chapter} has verses 1 to ${verseCount}` };
+  }
+  if (from > to) {
+    return { error: 'The first verse of a range must not come after the last' };
+  }
+
+  return { chapter, from, to };
+};
+
+/**
+ * List the verse keys of a range
+ * @param {number} chapter - Chapter number
+ * @param {number} from - First verse
+ * @param {number} to - Last verse (inclusive)
+ * @returns {Array<string>} Verse keys, e.g. ["2:255", "2:256", "2:257"]
+ */
+const getVerseKeys = (chapter, from, to) =>
+  Array.from({ length: to - from + 1 }, (_, index) => `${chapter}:${from + index}`);
+
+module.exports = { VERSE_COUNTS, CHAPTER_COUNT, getVerseCount, parseVerseReference, getVerseKeys };